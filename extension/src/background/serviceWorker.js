@@ -0,0 +1,38 @@
+/**
+ * serviceWorker.js - Background service worker
+ *
+ * Relays browser-level keyboard shortcuts (chrome.commands) to the
+ * Thread Anchor content script in the active tab. Shortcuts are declared
+ * in manifest.json and can be rebound at chrome://extensions/shortcuts.
+ */
+
+/**
+ * Get the tab a command should be delivered to
+ * @param {chrome.tabs.Tab|undefined} tab - Tab passed with the command, if any
+ * @returns {Promise<chrome.tabs.Tab|null>}
+ */
+async function getTargetTab(tab) {
+  if (tab && tab.id !== undefined) return tab;
+
+  const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return activeTab || null;
+}
+
+/**
+ * Forward a command to the content script
+ * @param {string} command - Command name from manifest.json
+ * @param {chrome.tabs.Tab} [tab] - Tab the command was triggered in
+ */
+async function handleCommand(command, tab) {
+  try {
+    const target = await getTargetTab(tab);
+    if (!target) return;
+
+    await chrome.tabs.sendMessage(target.id, { type: 'command', command });
+  } catch (error) {
+    // No content script in this tab (not a Reddit thread) - nothing to do
+    console.debug('[ThreadAnchor] Command not delivered:', command, error.message);
+  }
+}
+
+chrome.commands.onCommand.addListener(handleCommand);
@@ -1,23 +1,73 @@
 /**
- * activeComment.js - Track the currently anchored comment via click
+ * activeComment.js - Track the currently anchored comment
  *
- * Users click on a comment to "anchor" it, showing its ancestors
- * in the sticky header. Click again to toggle off, or click a
- * different comment to switch.
+ * Tracking modes:
+ * - 'click':  Users click on a comment to "anchor" it, showing its
+ *             ancestors in the sticky header. Click again to toggle off,
+ *             or click a different comment to switch.
+ * - 'scroll': The anchor follows whichever comment crosses a "reading
+ *             line" just below the sticky header as the user scrolls.
+ * - 'both':   Clicks anchor immediately, scrolling moves the anchor on.
  *
  * Supports both old Reddit and new Reddit.
  */
 
 const ActiveComment = (() => {
+  // Supported tracking modes
+  const MODES = ['click', 'scroll', 'both'];
+
+  // The extension's own UI, where clicks don't clear the anchor
+  const OVERLAY_SELECTOR = '#ta-sticky-container, #ta-outline-panel, #ta-minimap, #ta-conversation';
+
+  // Minimum interval between scroll-driven anchor updates (ms)
+  const SCROLL_UPDATE_INTERVAL = 75;
+
+  // Quiet period after a programmatic anchor before scroll tracking resumes (ms)
+  const SCROLL_HOLD_DELAY = 250;
+
+  // Maximum number of anchors kept in the history
+  const MAX_HISTORY = 50;
+
+  // URL fragment parameter for shareable anchored links (#ta=t1_abc123)
+  const LINK_PARAM = 'ta';
+
   // Module state
   let isActive = false;
 
+  // Current tracking mode
+  let trackingMode = 'click';
+
   // Callback for active comment changes
   let onChangeCallback = null;
 
   // Current anchored comment
   let currentAnchored = null;
 
+  // Anchor history for this page and the position within it.
+  // Only explicit anchors (click, keyboard, ...) are recorded;
+  // scroll-driven anchor changes would flood the history.
+  let history = [];
+  let historyIndex = -1;
+
+  // Page whose linked comment was applied; re-inits on the same page
+  // (settings changes) don't jump back to it, a new thread's link does
+  let linkConsumedFor = null;
+
+  // Observer tracking which comments are in the viewport (scroll mode)
+  let intersectionObserver = null;
+
+  // Comments currently intersecting the viewport (scroll mode)
+  const visibleComments = new Set();
+
+  // Throttled scroll handler (scroll mode)
+  let throttledScrollUpdate = null;
+
+  // Scroll tracking is paused while a programmatic jump scrolls the page
+  let scrollHold = false;
+  const releaseScrollHold = Util.debounce(() => {
+    scrollHold = false;
+  }, SCROLL_HOLD_DELAY);
+
   /**
    * Find the comment element from a click target
    * Works for both old and new Reddit
@@ -59,7 +109,7 @@ const ActiveComment = (() => {
     if (target.tagName === 'BUTTON') return false;
 
     // Don't trigger on input elements
-    if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA') return false;
+    if (Util.isEditableElement(target)) return false;
 
     // Don't trigger on vote arrows
     if (target.closest('.arrow, [data-click-id="upvote"], [data-click-id="downvote"]')) return false;
@@ -75,7 +125,7 @@ const ActiveComment = (() => {
    * @param {Event} event
    */
   function handleCommentClick(event) {
-    if (!isActive) return;
+    if (!isActive || trackingMode === 'scroll') return;
 
     // Find the comment from the click target
     const comment = findCommentFromTarget(event.target);
@@ -97,29 +147,120 @@ const ActiveComment = (() => {
    * @param {Event} event
    */
   function handleDocumentClick(event) {
-    if (!isActive || !currentAnchored) return;
+    if (!isActive || !currentAnchored || trackingMode === 'scroll') return;
 
     // Check if click is within a comment
     const comment = findCommentFromTarget(event.target);
     if (comment) return; // Handled by handleCommentClick
 
-    // Check if click is within the sticky container (don't deactivate)
-    const stickyContainer = event.target.closest('#ta-sticky-container');
-    if (stickyContainer) return;
+    // Check if click is within the sticky container or one of our
+    // overlays (don't deactivate)
+    if (event.target.closest(OVERLAY_SELECTOR)) return;
 
     // Click outside comments - deactivate
     setAnchored(null);
   }
 
+  /**
+   * Record an explicit anchor in the history, dropping any forward entries
+   * @param {Element} comment
+   */
+  function pushHistory(comment) {
+    history = history.slice(0, historyIndex + 1);
+    if (history[history.length - 1] !== comment) {
+      history.push(comment);
+    }
+    if (history.length > MAX_HISTORY) {
+      history = history.slice(-MAX_HISTORY);
+    }
+    historyIndex = history.length - 1;
+  }
+
+  /**
+   * Find the next history entry still in the page, walking in one direction
+   * @param {number} start - Index to start from
+   * @param {number} step - -1 for back, +1 for forward
+   * @returns {number} Index of the entry, or -1 if none
+   */
+  function findHistoryIndex(start, step) {
+    for (let i = start; i >= 0 && i < history.length; i += step) {
+      if (document.contains(history[i])) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Index to start from when going back. If the anchor has moved away
+   * from the current history entry (cleared, or moved by scrolling),
+   * going back returns to that entry first.
+   * @returns {number}
+   */
+  function getBackStart() {
+    return currentAnchored === history[historyIndex] ? historyIndex - 1 : historyIndex;
+  }
+
+  /**
+   * Move through the history and anchor the entry found
+   * @param {number} index - History index to go to (-1 = none)
+   * @returns {Element|null} The newly anchored comment
+   */
+  function goToHistory(index) {
+    if (!isActive || index === -1) return null;
+
+    historyIndex = index;
+    if (intersectionObserver) {
+      scrollHold = true;
+      releaseScrollHold();
+    }
+    setAnchored(history[index], { record: false });
+    return history[index];
+  }
+
+  /**
+   * Anchor the previous comment in the history
+   * @returns {Element|null} The newly anchored comment
+   */
+  function back() {
+    return goToHistory(findHistoryIndex(getBackStart(), -1));
+  }
+
+  /**
+   * Anchor the next comment in the history
+   * @returns {Element|null} The newly anchored comment
+   */
+  function forward() {
+    return goToHistory(findHistoryIndex(historyIndex + 1, 1));
+  }
+
+  /**
+   * @returns {boolean} True if there is an earlier anchor to go back to
+   */
+  function canGoBack() {
+    return findHistoryIndex(getBackStart(), -1) !== -1;
+  }
+
+  /**
+   * @returns {boolean} True if there is a later anchor to go forward to
+   */
+  function canGoForward() {
+    return findHistoryIndex(historyIndex + 1, 1) !== -1;
+  }
+
   /**
    * Set the anchored comment and notify callback
    * @param {Element|null} comment
+   * @param {Object} options
+   * @param {boolean} options.record - Record the anchor in the history
    */
-  function setAnchored(comment) {
+  function setAnchored(comment, { record = true } = {}) {
     if (comment === currentAnchored) return;
 
     currentAnchored = comment;
 
+    if (comment && record) {
+      pushHistory(comment);
+    }
+
     if (onChangeCallback) {
       try {
         onChangeCallback(currentAnchored);
@@ -129,10 +270,217 @@ const ActiveComment = (() => {
     }
   }
 
+  /**
+   * Get the viewport Y coordinate of the reading line (just below the
+   * sticky header at its tallest). It must not depend on the header's
+   * current height: that changes with the anchored chain, so the line
+   * would move every time the anchor does.
+   * @returns {number}
+   */
+  function getReadingLine() {
+    if (typeof StickyUI === 'undefined') return 10;
+    return StickyUI.getMaxScrollOffset();
+  }
+
+  /**
+   * Handle IntersectionObserver updates for viewport tracking
+   * @param {IntersectionObserverEntry[]} entries
+   */
+  function handleIntersection(entries) {
+    for (const entry of entries) {
+      if (entry.isIntersecting) {
+        visibleComments.add(entry.target);
+      } else {
+        visibleComments.delete(entry.target);
+      }
+    }
+
+    if (throttledScrollUpdate) throttledScrollUpdate();
+  }
+
+  /**
+   * Pick the comment crossing the reading line and anchor it.
+   * Comments nest in the DOM, so the innermost comment crossing
+   * the line is the one whose top edge is lowest. When none crosses
+   * it (a gap, or above the first comment) the anchor is kept.
+   */
+  function updateFromScroll() {
+    if (!isActive || trackingMode === 'click') return;
+
+    // Keep holding until the programmatic scroll has settled
+    if (scrollHold) {
+      releaseScrollHold();
+      return;
+    }
+
+    const end = Util.perfStart('activeComment.updateFromScroll');
+    const line = getReadingLine();
+
+    let best = null;
+    let bestTop = -Infinity;
+
+    for (const comment of visibleComments) {
+      if (!document.contains(comment)) {
+        visibleComments.delete(comment);
+        continue;
+      }
+
+      const rect = comment.getBoundingClientRect();
+      if (rect.height === 0) continue;
+
+      if (rect.top <= line && rect.bottom > line && rect.top > bestTop) {
+        best = comment;
+        bestTop = rect.top;
+      }
+    }
+
+    end();
+
+    if (best && best !== currentAnchored) {
+      setAnchored(best, { record: false });
+    }
+  }
+
+  /**
+   * Start viewport tracking for scroll mode
+   */
+  function startScrollTracking() {
+    if (intersectionObserver) return;
+
+    throttledScrollUpdate = Util.throttle(updateFromScroll, SCROLL_UPDATE_INTERVAL);
+
+    intersectionObserver = new IntersectionObserver(handleIntersection, {
+      root: null,
+      rootMargin: '0px',
+      threshold: 0
+    });
+
+    Selectors.getAllCommentThings().forEach(comment => {
+      intersectionObserver.observe(comment);
+    });
+
+    window.addEventListener('scroll', throttledScrollUpdate, { passive: true });
+  }
+
+  /**
+   * Start tracking comments added after init (scroll mode)
+   * @param {Element[]} comments - Comment elements
+   */
+  function observeComments(comments) {
+    if (!intersectionObserver) return;
+
+    comments.forEach(comment => intersectionObserver.observe(comment));
+  }
+
+  /**
+   * Stop tracking comments that were removed from the page (scroll mode)
+   * @param {Element[]} comments - Comment elements
+   */
+  function unobserveComments(comments) {
+    if (!intersectionObserver) return;
+
+    comments.forEach(comment => {
+      intersectionObserver.unobserve(comment);
+      visibleComments.delete(comment);
+    });
+  }
+
+  /**
+   * Stop viewport tracking for scroll mode
+   */
+  function stopScrollTracking() {
+    if (!intersectionObserver) return;
+
+    intersectionObserver.disconnect();
+    intersectionObserver = null;
+    visibleComments.clear();
+
+    window.removeEventListener('scroll', throttledScrollUpdate);
+    throttledScrollUpdate.cancel();
+    throttledScrollUpdate = null;
+
+    releaseScrollHold.cancel();
+    scrollHold = false;
+  }
+
+  /**
+   * Pause scroll tracking until the page stops scrolling, so a
+   * programmatic scroll or reflow doesn't re-anchor another comment
+   */
+  function holdScrollTracking() {
+    if (!intersectionObserver) return;
+
+    scrollHold = true;
+    releaseScrollHold();
+  }
+
+  /**
+   * Anchor a comment programmatically (keyboard, links, etc.)
+   * Scroll tracking is held until the resulting scroll settles so
+   * the reading line doesn't immediately re-anchor another comment.
+   * @param {Element|null} comment - Comment to anchor, or null to clear
+   */
+  function setActive(comment) {
+    if (!isActive) return;
+    if (comment && !Selectors.isCommentThing(comment)) return;
+
+    holdScrollTracking();
+    setAnchored(comment);
+  }
+
+  /**
+   * Change the tracking mode
+   * @param {string} mode - 'click', 'scroll' or 'both'
+   */
+  function setMode(mode) {
+    trackingMode = MODES.includes(mode) ? mode : 'click';
+    if (!isActive) return;
+
+    if (trackingMode === 'click') {
+      stopScrollTracking();
+    } else {
+      startScrollTracking();
+    }
+  }
+
+  /**
+   * Get the comment ID from a #ta=<id> fragment in the URL
+   * @returns {string|null}
+   */
+  function getLinkedCommentId() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    return params.get(LINK_PARAM);
+  }
+
+  /**
+   * Find the comment the page was opened for: a #ta=<id> deep link,
+   * or the comment highlighted on an old Reddit ?context= permalink
+   * @returns {Element|null}
+   */
+  function findLinkedComment() {
+    return Selectors.getCommentById(getLinkedCommentId()) ||
+           Selectors.getHighlightedComment();
+  }
+
+  /**
+   * Build a shareable URL that opens this thread with a comment anchored
+   * @param {Element} comment - The comment to link to
+   * @returns {string|null} The URL, or null if the comment has no ID
+   */
+  function buildLink(comment) {
+    const id = Selectors.getCommentId(comment);
+    if (!id) return null;
+
+    const url = new URL(window.location.href);
+    url.hash = `${LINK_PARAM}=${id}`;
+    return url.toString();
+  }
+
   /**
    * Initialize active comment tracking
    * @param {Object} options - Configuration options
    * @param {Function} options.onActiveChange - Callback when anchored comment changes
+   * @param {string} options.mode - Tracking mode ('click', 'scroll' or 'both')
    */
   function init(options = {}) {
     if (isActive) return;
@@ -146,8 +494,18 @@ const ActiveComment = (() => {
     // Listen for clicks outside comments (with slight delay to let comment click fire first)
     document.addEventListener('click', handleDocumentClick, false);
 
+    // Start viewport tracking if the mode needs it
+    setMode(options.mode || trackingMode);
+
+    // Anchor the comment the page was linked to
+    if (linkConsumedFor !== window.location.pathname) {
+      linkConsumedFor = window.location.pathname;
+      const linked = findLinkedComment();
+      if (linked) setActive(linked);
+    }
+
     const version = typeof Selectors !== 'undefined' ? Selectors.getRedditVersion() : 'unknown';
-    console.log('[ActiveComment] Initialized (click-based) for', version, 'Reddit');
+    console.log('[ActiveComment] Initialized (' + trackingMode + ' mode) for', version, 'Reddit');
   }
 
   /**
@@ -160,8 +518,12 @@ const ActiveComment = (() => {
     document.removeEventListener('click', handleCommentClick, true);
     document.removeEventListener('click', handleDocumentClick, false);
 
+    stopScrollTracking();
+
     // Clear state
     currentAnchored = null;
+    history = [];
+    historyIndex = -1;
     onChangeCallback = null;
     isActive = false;
 
@@ -176,10 +538,29 @@ const ActiveComment = (() => {
     return currentAnchored;
   }
 
+  /**
+   * Get the current tracking mode
+   * @returns {string}
+   */
+  function getMode() {
+    return trackingMode;
+  }
+
   // Public API
   return {
     init,
     destroy,
-    getActive
+    getActive,
+    setActive,
+    holdScrollTracking,
+    observeComments,
+    unobserveComments,
+    buildLink,
+    back,
+    forward,
+    canGoBack,
+    canGoForward,
+    setMode,
+    getMode
   };
 })();
@@ -0,0 +1,324 @@
+/**
+ * ancestorResolver.js - Fetch ancestors missing from permalink pages
+ *
+ * On /comments/<post>/_/<comment>/ pages the chain stops at the
+ * permalinked comment, because its ancestors aren't in the DOM. This
+ * module requests the thread's .json listing around that comment and
+ * turns the ancestors it finds into the same entries GhostChain uses,
+ * so StickyUI can render them above the DOM-backed rows.
+ *
+ * Results are cached per comment (in memory and in sessionStorage) and
+ * requests are rate-limited.
+ */
+
+const AncestorResolver = (() => {
+  // sessionStorage key prefix (followed by "<postId>:<comment ID>")
+  const STORAGE_PREFIX = 'ta-ancestors:';
+
+  // Parent levels returned per request (Reddit's ?context= maximum)
+  const CONTEXT_LEVELS = 8;
+
+  // Maximum requests spent resolving one chain
+  const MAX_REQUESTS_PER_CHAIN = 3;
+
+  // Maximum requests per page
+  const MAX_REQUESTS = 20;
+
+  // Minimum time between requests (ms)
+  const MIN_REQUEST_INTERVAL = 1000;
+
+  // Excerpt length, matching Selectors.getCommentMeta
+  const EXCERPT_LENGTH = 150;
+
+  // Module state
+  let isActive = false;
+
+  // Post ID of the thread (t3_...)
+  let postId = null;
+
+  // Origin the .json listings are requested from (overridable for testing)
+  let baseUrl = '';
+
+  // Resolved ancestors (comment ID -> entries, top-level first)
+  const cache = new Map();
+
+  // Resolutions in progress (comment ID -> Promise)
+  const pending = new Map();
+
+  // Bumped on destroy, so requests still in flight drop their results
+  let generation = 0;
+
+  // Request bookkeeping for rate limiting (the count is per page)
+  let requestCount = 0;
+  let lastRequestAt = 0;
+
+  /**
+   * Check if the current page is a single-comment permalink page
+   * @returns {boolean}
+   */
+  function isPermalinkPage() {
+    return /\/comments\/[a-z0-9]+\/[^\/]*\/[a-z0-9]+/i.test(window.location.pathname);
+  }
+
+  /**
+   * Build the sessionStorage key for a comment
+   * @param {string} post - Post ID (t3_...)
+   * @param {string} commentId - Comment ID (t1_...)
+   * @returns {string}
+   */
+  function getStorageKey(post, commentId) {
+    return `${STORAGE_PREFIX}${post}:${commentId}`;
+  }
+
+  /**
+   * Wait until the next request is allowed
+   * @returns {Promise<void>}
+   */
+  function waitForRequestSlot() {
+    const wait = Math.max(0, lastRequestAt + MIN_REQUEST_INTERVAL - Date.now());
+    lastRequestAt = Date.now() + wait;
+    return new Promise(resolve => setTimeout(resolve, wait));
+  }
+
+  /**
+   * Check if the page a request was made for is still the current one
+   * @param {Object} page - { postId, baseUrl, generation } captured at the start
+   * @returns {boolean}
+   */
+  function isCurrentPage(page) {
+    return page.generation === generation;
+  }
+
+  /**
+   * Request the listing around a comment, with its parents as context
+   * @param {Object} page - { postId, baseUrl, generation } to request for
+   * @param {string} commentId - Comment ID (t1_...)
+   * @returns {Promise<Map<string, Object>>} Comment data by fullname
+   */
+  async function fetchContext(page, commentId) {
+    if (requestCount >= MAX_REQUESTS) {
+      throw new Error('Request limit reached');
+    }
+    requestCount++;
+    await waitForRequestSlot();
+
+    // The page may have been left while waiting for the slot
+    if (!isCurrentPage(page)) {
+      throw new Error('Page changed');
+    }
+
+    const post = page.postId.replace(/^t3_/, '');
+    const comment = commentId.replace(/^t1_/, '');
+    const url = `${page.baseUrl}/comments/${post}/_/${comment}.json?context=${CONTEXT_LEVELS}&limit=1&raw_json=1`;
+
+    const response = await fetch(url, { credentials: 'same-origin' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const listing = await response.json();
+    const comments = new Map();
+    collectComments(listing && listing[1], comments);
+    return comments;
+  }
+
+  /**
+   * Flatten a comment listing into a map of comment data by fullname
+   * @param {Object} listing - Reddit Listing object
+   * @param {Map<string, Object>} comments - Map to fill
+   */
+  function collectComments(listing, comments) {
+    const children = listing && listing.data && listing.data.children;
+    if (!Array.isArray(children)) return;
+
+    children.forEach(child => {
+      if (!child || child.kind !== 't1' || !child.data) return;
+
+      comments.set(child.data.name, child.data);
+      if (child.data.replies) {
+        collectComments(child.data.replies, comments);
+      }
+    });
+  }
+
+  /**
+   * Turn comment data from the listing into a row entry
+   * @param {Object} data - Comment data
+   * @returns {Object} { id, author, score, excerpt, permalink }
+   */
+  function toEntry(data) {
+    const body = (data.body || '').trim();
+    let excerpt = body.slice(0, EXCERPT_LENGTH);
+    if (body.length > EXCERPT_LENGTH) excerpt += '...';
+
+    let score = '';
+    if (!data.score_hidden && typeof data.score === 'number') {
+      score = Selectors.getRedditVersion() === 'old' ? `${data.score} points` : String(data.score);
+    }
+
+    return {
+      id: data.name,
+      author: data.author || '[deleted]',
+      score,
+      excerpt,
+      permalink: data.permalink || ''
+    };
+  }
+
+  /**
+   * Fetch the ancestors above a comment, walking up one request at a
+   * time until the post is reached
+   * @param {Object} page - { postId, baseUrl, generation } to request for
+   * @param {string} commentId - Comment ID (t1_...)
+   * @returns {Promise<Object[]>} Entries, top-level first
+   */
+  async function fetchAncestors(page, commentId) {
+    const entries = [];
+    let currentId = commentId;
+
+    for (let i = 0; i < MAX_REQUESTS_PER_CHAIN; i++) {
+      const comments = await fetchContext(page, currentId);
+      let data = comments.get(currentId);
+      if (!data) break;
+
+      // Comments above the first request's target are ancestors themselves
+      if (currentId !== commentId) {
+        entries.unshift(toEntry(data));
+      }
+
+      while (comments.has(data.parent_id)) {
+        data = comments.get(data.parent_id);
+        entries.unshift(toEntry(data));
+      }
+
+      // Reached the post, or the parent needs another request
+      if (!data.parent_id || !data.parent_id.startsWith('t1_')) break;
+      currentId = data.parent_id;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Get the resolved ancestors of a comment if known
+   * @param {Element} comment - Top comment of a DOM chain
+   * @returns {Object[]|null} Entries (top-level first), or null if not resolved yet
+   */
+  function getAncestors(comment) {
+    if (!isActive || !comment) return null;
+
+    const id = Selectors.getCommentId(comment);
+    if (cache.has(id)) return cache.get(id).slice();
+
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(getStorageKey(postId, id)) || 'null');
+      if (Array.isArray(stored)) {
+        cache.set(id, stored);
+        return stored.slice();
+      }
+    } catch (error) {
+      console.error('[AncestorResolver] Failed to read cache:', error);
+    }
+
+    return null;
+  }
+
+  /**
+   * Check if a chain's top comment may have ancestors that aren't loaded
+   * @param {Element} comment - Top comment of a DOM chain
+   * @returns {boolean}
+   */
+  function needsResolve(comment) {
+    return isActive && !!comment &&
+      Selectors.getTopLevelThings().includes(comment) &&
+      getAncestors(comment) === null;
+  }
+
+  /**
+   * Resolve the ancestors above a chain's top comment
+   * @param {Element} comment - Top comment of a DOM chain
+   * @returns {Promise<Object[]>} Entries, top-level first (empty on failure)
+   */
+  function resolve(comment) {
+    const known = getAncestors(comment);
+    if (known) return Promise.resolve(known);
+    if (!isActive) return Promise.resolve([]);
+
+    const id = Selectors.getCommentId(comment);
+    if (!id) return Promise.resolve([]);
+    if (pending.has(id)) return pending.get(id);
+
+    // Results for a page that was left (destroy, navigation) are dropped
+    const page = { postId, baseUrl, generation };
+
+    const request = fetchAncestors(page, id)
+      .then(entries => {
+        if (!isCurrentPage(page)) return [];
+
+        cache.set(id, entries);
+        try {
+          sessionStorage.setItem(getStorageKey(page.postId, id), JSON.stringify(entries));
+        } catch (error) {
+          console.error('[AncestorResolver] Failed to save cache:', error);
+        }
+        return entries.slice();
+      })
+      .catch(error => {
+        if (!isCurrentPage(page)) return [];
+
+        console.error('[AncestorResolver] Failed to fetch ancestors:', error);
+        // Don't retry this comment on every render
+        cache.set(id, []);
+        return [];
+      })
+      .finally(() => {
+        if (pending.get(id) === request) pending.delete(id);
+      });
+
+    pending.set(id, request);
+    return request;
+  }
+
+  /**
+   * Initialize the resolver (only active on permalink pages)
+   * @param {Object} options - Configuration options
+   * @param {string} options.postId - Post ID of the thread
+   * @param {string} options.baseUrl - Origin to request .json listings from
+   *   (defaults to the page's origin)
+   */
+  function init(options = {}) {
+    if (isActive) return;
+    if (!options.postId || !isPermalinkPage()) return;
+
+    postId = options.postId;
+    baseUrl = options.baseUrl || window.location.origin;
+    isActive = true;
+
+    console.log('[AncestorResolver] Initialized for', postId);
+  }
+
+  /**
+   * Destroy the resolver (cached results are kept)
+   */
+  function destroy() {
+    if (!isActive) return;
+
+    generation++;
+    postId = null;
+    baseUrl = '';
+    pending.clear();
+    requestCount = 0;
+    isActive = false;
+
+    console.log('[AncestorResolver] Destroyed');
+  }
+
+  // Public API
+  return {
+    init,
+    destroy,
+    getAncestors,
+    needsResolve,
+    resolve
+  };
+})();
@@ -3,14 +3,39 @@
  *
  * Walks up the DOM tree to find all ancestor comments,
  * with caching for performance on large threads.
+ *
+ * Cached chains are stamped with the generation they were built in.
+ * Invalidating a comment records the current generation for it, so
+ * every cached chain running through it is rebuilt on next use.
  */
 
 const Ancestors = (() => {
+  // Bumped on every invalidation
+  let generation = 0;
+
+  // Generation at which each comment was last invalidated
+  let invalidatedAt = new WeakMap();
+
+  /**
+   * Check that no comment in a cached chain was invalidated after it was built
+   * @param {Object} entry - { chain, generation }
+   * @returns {boolean}
+   */
+  function isChainCurrent(entry) {
+    return entry.chain.every(el => (invalidatedAt.get(el) || 0) <= entry.generation);
+  }
+
   // Cache for parent lookups (comment -> parent comment)
-  const parentCache = new WeakMap();
+  const parentCache = Util.createCache('ancestors.parent');
+
+  // Cache for full ancestor chains (comment -> { chain, generation })
+  const chainCache = Util.createCache('ancestors.chain', { isValid: isChainCurrent });
+
+  // Cache for sibling lists (parent comment -> child comments)
+  const siblingCache = Util.createCache('ancestors.siblings');
 
-  // Cache for full ancestor chains (comment -> chain array)
-  const chainCache = new WeakMap();
+  // Cached list of top-level comments (siblings without a parent comment)
+  let topLevelCache = null;
 
   /**
    * Get the parent comment with caching
@@ -40,7 +65,7 @@ const Ancestors = (() => {
 
     // Check cache first
     if (chainCache.has(commentEl)) {
-      return chainCache.get(commentEl).slice(); // Return copy to prevent mutation
+      return chainCache.get(commentEl).chain.slice(); // Return copy to prevent mutation
     }
 
     const chain = [];
@@ -53,7 +78,7 @@ const Ancestors = (() => {
     }
 
     // Cache the result
-    chainCache.set(commentEl, chain);
+    chainCache.set(commentEl, { chain, generation });
 
     return chain.slice(); // Return copy
   }
@@ -78,6 +103,53 @@ const Ancestors = (() => {
     return chain.length > 0 ? chain[0] : null;
   }
 
+  /**
+   * Get the direct replies of a comment
+   * @param {Element} commentEl - The comment element
+   * @returns {Element[]} Child comments in document order
+   */
+  function getChildren(commentEl) {
+    return Selectors.getChildThings(commentEl);
+  }
+
+  /**
+   * Get a comment's siblings (including the comment itself)
+   * Top-level comments are siblings of each other.
+   * @param {Element} commentEl - The comment element
+   * @returns {Element[]} Sibling comments in document order
+   */
+  function getSiblings(commentEl) {
+    if (!Selectors.isCommentThing(commentEl)) return [];
+
+    const parent = getParentCached(commentEl);
+
+    if (!parent) {
+      if (!topLevelCache) {
+        topLevelCache = Selectors.getTopLevelThings();
+      }
+      return topLevelCache.slice(); // Return copy
+    }
+
+    if (!siblingCache.has(parent)) {
+      siblingCache.set(parent, Selectors.getChildThings(parent));
+    }
+    return siblingCache.get(parent).slice(); // Return copy
+  }
+
+  /**
+   * Get a comment's position among its siblings
+   * @param {Element} commentEl - The comment element
+   * @returns {{index: number, count: number, siblings: Element[]}|null}
+   *   Zero-based index and sibling count, or null if not found
+   */
+  function getSiblingPosition(commentEl) {
+    const siblings = getSiblings(commentEl);
+    const index = siblings.indexOf(commentEl);
+    if (index === -1) return null;
+
+    return { index, count: siblings.length, siblings };
+  }
+
   /**
    * Check if two comments share the same top-level ancestor
    * @param {Element} comment1 - First comment
@@ -116,26 +188,44 @@ const Ancestors = (() => {
    * Clear the caches (call if DOM structure changes significantly)
    */
   function clearCache() {
-    // WeakMaps don't have a clear method, but we can create new ones
-    // However, since these are module-scoped consts, we can't reassign
-    // The WeakMap will automatically clean up when elements are GC'd
-    // For now, this is a no-op but kept for API consistency
-    console.log('[Ancestors] Cache will be cleared as elements are garbage collected');
+    parentCache.clear();
+    chainCache.clear();
+    siblingCache.clear();
+    topLevelCache = null;
+    invalidatedAt = new WeakMap();
   }
 
   /**
-   * Invalidate cache for a specific comment and its descendants
+   * Invalidate cache for a specific comment, and every cached chain
+   * running through it (its descendants' chains)
    * Call this if a comment's position in the tree changes
    * @param {Element} commentEl - The comment element
    */
   function invalidate(commentEl) {
+    generation++;
+    invalidatedAt.set(commentEl, generation);
+
+    // The parent it had (a removed comment can't be looked up any more)
+    // and the one it has now (an added comment was never cached)
+    const parents = [Selectors.getParentThing(commentEl)];
+    if (parentCache.has(commentEl)) {
+      parents.push(parentCache.get(commentEl));
+    }
+
     // Remove from caches
     parentCache.delete(commentEl);
     chainCache.delete(commentEl);
 
-    // Note: We don't invalidate children because WeakMaps
-    // don't support iteration. Children will be invalidated
-    // naturally when their cached parent no longer matches.
+    // Its replies and the sibling lists it joined or left changed too;
+    // without a parent comment that is the top-level list
+    siblingCache.delete(commentEl);
+    parents.forEach(parent => {
+      if (parent) {
+        siblingCache.delete(parent);
+      } else {
+        topLevelCache = null;
+      }
+    });
   }
 
   // Public API
@@ -143,6 +233,9 @@ const Ancestors = (() => {
     computeAncestors,
     getDepth,
     getTopLevelAncestor,
+    getChildren,
+    getSiblings,
+    getSiblingPosition,
     shareTopLevel,
     findCommonAncestor,
     clearCache,
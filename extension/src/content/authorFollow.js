@@ -0,0 +1,127 @@
+/**
+ * authorFollow.js - Step through one author's comments
+ *
+ * While following a username, next/prev find that author's comments in
+ * document order (wrapping around), so the header can re-anchor each one
+ * with its chain. Authors come from Selectors.getCommentMeta, which
+ * reads old Reddit's .author link and new Reddit's author attribute.
+ */
+
+const AuthorFollow = (() => {
+  // Usernames that can't be followed
+  const UNFOLLOWABLE = ['[deleted]', '[removed]', '[unknown]'];
+
+  // Followed username (null when not following)
+  let author = null;
+
+  /**
+   * Check if a comment was written by the followed author
+   * @param {Element} comment - Comment element
+   * @returns {boolean}
+   */
+  function isByAuthor(comment) {
+    if (!author || !comment) return false;
+    const meta = Selectors.getCommentMeta(comment);
+    return !!meta && Util.normalizeUsername(meta.author) === Util.normalizeUsername(author);
+  }
+
+  /**
+   * Get the followed author's comments on the page
+   * @returns {Element[]} Comments in document order
+   */
+  function getComments() {
+    if (!author) return [];
+    return Selectors.getAllCommentThings().filter(isByAuthor);
+  }
+
+  /**
+   * Check if a username can be followed
+   * @param {string} name
+   * @returns {boolean}
+   */
+  function canFollow(name) {
+    return !!name && !UNFOLLOWABLE.includes(name);
+  }
+
+  /**
+   * Start following an author
+   * @param {string} name - Username (with or without "u/")
+   * @returns {boolean} False if the name can't be followed
+   */
+  function start(name) {
+    const cleaned = (name || '').replace(/^u\//i, '').trim();
+    if (!canFollow(cleaned)) return false;
+
+    author = cleaned;
+    console.log('[AuthorFollow] Following', author);
+    return true;
+  }
+
+  /**
+   * Stop following
+   */
+  function stop() {
+    if (!author) return;
+
+    console.log('[AuthorFollow] Stopped following', author);
+    author = null;
+  }
+
+  /**
+   * Get the followed username
+   * @returns {string|null}
+   */
+  function getAuthor() {
+    return author;
+  }
+
+  /**
+   * Check if an author is being followed
+   * @returns {boolean}
+   */
+  function isFollowing() {
+    return author !== null;
+  }
+
+  /**
+   * Get the author's comment after a comment in document order (wrapping around)
+   * @param {Element|null} current - The anchored comment
+   * @returns {Element|null}
+   */
+  function next(current) {
+    return Util.nextInDocument(getComments(), current);
+  }
+
+  /**
+   * Get the author's comment before a comment in document order (wrapping around)
+   * @param {Element|null} current - The anchored comment
+   * @returns {Element|null}
+   */
+  function prev(current) {
+    return Util.prevInDocument(getComments(), current);
+  }
+
+  /**
+   * Get a comment's position among the author's comments
+   * @param {Element|null} current - The anchored comment
+   * @returns {{index: number, count: number}} Zero-based index (-1 if the
+   *   comment isn't by the author) and number of comments
+   */
+  function getPosition(current) {
+    const comments = getComments();
+    return { index: current ? comments.indexOf(current) : -1, count: comments.length };
+  }
+
+  // Public API
+  return {
+    start,
+    stop,
+    getAuthor,
+    isFollowing,
+    isByAuthor,
+    canFollow,
+    next,
+    prev,
+    getPosition
+  };
+})();
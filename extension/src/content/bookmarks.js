@@ -0,0 +1,164 @@
+/**
+ * bookmarks.js - Pinned comment bookmarks per thread
+ *
+ * Lets users pin several comments in a thread and switch the anchor
+ * between them. Bookmarks are stored per post ID via ThreadStore, so
+ * they survive reloads.
+ */
+
+const Bookmarks = (() => {
+  // Maximum number of bookmarks per thread
+  const MAX_BOOKMARKS = 30;
+
+  // Module state
+  let isActive = false;
+
+  // Post ID the bookmarks belong to
+  let postId = null;
+
+  // Set once the stored bookmarks were loaded (nothing is saved before)
+  let loaded = false;
+
+  // Bookmarked comment IDs, in the order they were pinned
+  let bookmarkIds = [];
+
+  // Callback for bookmark changes
+  let onChangeCallback = null;
+
+  /**
+   * Notify the change callback
+   */
+  function notifyChange() {
+    if (!onChangeCallback) return;
+
+    try {
+      onChangeCallback(getAll());
+    } catch (error) {
+      console.error('[Bookmarks] Callback error:', error);
+    }
+  }
+
+  /**
+   * Persist the bookmarks for this thread
+   */
+  function save() {
+    if (!postId || !loaded) return;
+    ThreadStore.update(postId, { bookmarks: bookmarkIds.length > 0 ? bookmarkIds : null });
+  }
+
+  /**
+   * Get all bookmarks with their comment elements
+   * @returns {Object[]} Array of { id, comment } (comment is null if not on the page)
+   */
+  function getAll() {
+    return bookmarkIds.map(id => ({ id, comment: Selectors.getCommentById(id) }));
+  }
+
+  /**
+   * Check if a comment is bookmarked
+   * @param {Element|null} comment - Comment element
+   * @returns {boolean}
+   */
+  function has(comment) {
+    const id = comment ? Selectors.getCommentId(comment) : null;
+    return id !== null && bookmarkIds.includes(id);
+  }
+
+  /**
+   * Add or remove a bookmark for a comment
+   * @param {Element} comment - Comment element
+   * @returns {boolean} True if the comment is now bookmarked
+   */
+  function toggle(comment) {
+    const id = Selectors.getCommentId(comment);
+    if (!isActive || !loaded || !id) return false;
+
+    if (bookmarkIds.includes(id)) {
+      bookmarkIds = bookmarkIds.filter(other => other !== id);
+    } else {
+      bookmarkIds = [...bookmarkIds, id].slice(-MAX_BOOKMARKS);
+    }
+
+    save();
+    notifyChange();
+    return bookmarkIds.includes(id);
+  }
+
+  /**
+   * Remove a bookmark by comment ID
+   * @param {string} id - Comment ID
+   */
+  function remove(id) {
+    if (!isActive || !loaded || !bookmarkIds.includes(id)) return;
+
+    bookmarkIds = bookmarkIds.filter(other => other !== id);
+    save();
+    notifyChange();
+  }
+
+  /**
+   * Get the bookmark after the given comment (wrapping around).
+   * Bookmarks whose comments aren't on the page are skipped.
+   * @param {Element|null} current - The anchored comment
+   * @returns {Element|null} Next bookmarked comment
+   */
+  function next(current) {
+    const available = getAll().filter(bookmark => bookmark.comment);
+    if (available.length === 0) return null;
+
+    const index = available.findIndex(bookmark => bookmark.comment === current);
+    return available[(index + 1) % available.length].comment;
+  }
+
+  /**
+   * Initialize bookmarks for a thread
+   * @param {Object} options - Configuration options
+   * @param {string} options.postId - Post ID of the thread
+   * @param {Function} options.onChange - Callback when bookmarks change
+   * @returns {Promise<void>}
+   */
+  async function init(options = {}) {
+    if (isActive) return;
+
+    postId = options.postId || null;
+    onChangeCallback = options.onChange || null;
+    isActive = true;
+
+    if (postId) {
+      const record = await ThreadStore.get(postId);
+      // Bail if destroyed while loading
+      if (!isActive) return;
+      bookmarkIds = Array.isArray(record.bookmarks) ? record.bookmarks : [];
+    }
+    loaded = true;
+
+    notifyChange();
+    console.log('[Bookmarks] Initialized with', bookmarkIds.length, 'bookmarks');
+  }
+
+  /**
+   * Destroy bookmarks (stored bookmarks are kept)
+   */
+  function destroy() {
+    if (!isActive) return;
+
+    postId = null;
+    loaded = false;
+    bookmarkIds = [];
+    onChangeCallback = null;
+    isActive = false;
+
+    console.log('[Bookmarks] Destroyed');
+  }
+
+  // Public API
+  return {
+    init,
+    destroy,
+    getAll,
+    has,
+    toggle,
+    remove,
+    next
+  };
+})();
@@ -0,0 +1,196 @@
+/**
+ * commentObserver.js - Keep caches in sync with the comment tree
+ *
+ * Watches Selectors.getCommentsContainer() for comments being added,
+ * removed, moved or edited (loaded batches, votes, edits, re-renders),
+ * drops the affected Selectors and Ancestors cache entries and reports
+ * what changed so the header can be updated.
+ */
+
+const CommentObserver = (() => {
+  // Delay for batching mutations before processing (ms)
+  const PROCESS_DELAY = 100;
+
+  // Module state
+  let isActive = false;
+
+  // The MutationObserver watching the comments container
+  let observer = null;
+
+  // Callback for processed changes
+  let onChangeCallback = null;
+
+  // Mutations collected since the last processing run
+  let pendingMutations = [];
+
+  // Debounced processing of collected mutations
+  const processDebounced = Util.debounce(processMutations, PROCESS_DELAY);
+
+  /**
+   * Check if a node was added by this extension (icons, markers, ...)
+   * @param {Node} node
+   * @returns {boolean}
+   */
+  function isOwnNode(node) {
+    // Comments carry our marker classes too, but are never our own nodes
+    if (node.nodeType !== Node.ELEMENT_NODE || Selectors.isCommentThing(node)) return false;
+    if (node.id && node.id.startsWith('ta-')) return true;
+    return Array.from(node.classList).some(name => name.startsWith('ta-'));
+  }
+
+  /**
+   * Find the comment an arbitrary node belongs to
+   * @param {Node} node
+   * @returns {Element|null}
+   */
+  function findComment(node) {
+    let current = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    while (current && current !== document.body) {
+      if (Selectors.isCommentThing(current)) return current;
+      current = current.parentElement;
+    }
+    return null;
+  }
+
+  /**
+   * Collect the comments in a subtree (including its root). Works for
+   * subtrees that were removed from the document too.
+   * @param {Node} node
+   * @param {Set<Element>} into - Set to add comments to
+   */
+  function collectComments(node, into) {
+    if (node.nodeType !== Node.ELEMENT_NODE || isOwnNode(node)) return;
+
+    if (Selectors.isCommentThing(node)) into.add(node);
+    node.querySelectorAll('*').forEach(el => {
+      if (Selectors.isCommentThing(el)) into.add(el);
+    });
+  }
+
+  /**
+   * Record mutations for the next processing run
+   * @param {MutationRecord[]} mutations
+   */
+  function handleMutations(mutations) {
+    const relevant = mutations.filter(mutation => {
+      if (mutation.type !== 'childList') return true;
+
+      const nodes = Array.from(mutation.addedNodes).concat(Array.from(mutation.removedNodes));
+      return nodes.some(node => !isOwnNode(node));
+    });
+    if (relevant.length === 0) return;
+
+    pendingMutations.push(...relevant);
+    processDebounced();
+  }
+
+  /**
+   * Invalidate caches for everything touched by the collected mutations
+   * and report the changes
+   */
+  function processMutations() {
+    if (!isActive || pendingMutations.length === 0) return;
+
+    const mutations = pendingMutations;
+    pendingMutations = [];
+
+    const end = Util.perfStart('commentObserver.process');
+
+    const added = new Set();
+    const removed = new Set();
+    const changed = new Set();
+
+    mutations.forEach(mutation => {
+      const owner = findComment(mutation.target);
+      if (owner) changed.add(owner);
+
+      if (mutation.type === 'childList') {
+        mutation.addedNodes.forEach(node => collectComments(node, added));
+        mutation.removedNodes.forEach(node => collectComments(node, removed));
+      }
+    });
+
+    // Nodes moved within the tree show up as both removed and added
+    removed.forEach(comment => {
+      if (document.contains(comment)) {
+        removed.delete(comment);
+        changed.add(comment);
+      }
+    });
+    added.forEach(comment => changed.delete(comment));
+
+    [added, removed, changed].forEach(set => set.forEach(comment => {
+      Selectors.invalidate(comment);
+      Ancestors.invalidate(comment);
+    }));
+
+    end();
+
+    if (onChangeCallback) {
+      try {
+        onChangeCallback({
+          added: Array.from(added),
+          removed: Array.from(removed),
+          changed: Array.from(changed)
+        });
+      } catch (error) {
+        console.error('[CommentObserver] Callback error:', error);
+      }
+    }
+  }
+
+  /**
+   * Start watching the comments container
+   * @param {Object} options - Configuration options
+   * @param {Function} options.onChange - Called with { added, removed, changed }
+   *   comment arrays after each batch of mutations
+   */
+  function init(options = {}) {
+    if (isActive) return;
+
+    const container = Selectors.getCommentsContainer();
+    if (!container) {
+      console.warn('[CommentObserver] No comments container found');
+      return;
+    }
+
+    onChangeCallback = options.onChange || null;
+    isActive = true;
+
+    observer = new MutationObserver(handleMutations);
+    observer.observe(container, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+      // New Reddit keeps the score in an attribute
+      attributes: true,
+      attributeFilter: ['score']
+    });
+
+    console.log('[CommentObserver] Initialized');
+  }
+
+  /**
+   * Stop watching the comments container
+   */
+  function destroy() {
+    if (!isActive) return;
+
+    if (observer) {
+      observer.disconnect();
+      observer = null;
+    }
+    processDebounced.cancel();
+    pendingMutations = [];
+    onChangeCallback = null;
+    isActive = false;
+
+    console.log('[CommentObserver] Destroyed');
+  }
+
+  // Public API
+  return {
+    init,
+    destroy
+  };
+})();
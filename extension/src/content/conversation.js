@@ -0,0 +1,415 @@
+/**
+ * conversation.js - Two-person conversation view
+ *
+ * Given a comment, extracts the back-and-forth between its author and
+ * its parent's author: the run of the chain above it written by just
+ * those two, and every branch below that run where they keep replying
+ * to each other without anyone else stepping in. The messages are shown
+ * in document order as a chat-style overlay; clicking one jumps to it
+ * in the page. Like the outline, the overlay's stylesheet is written
+ * against StickyUI's --ta-* theme variables.
+ */
+
+const Conversation = (() => {
+  // Module state
+  let isActive = false;
+
+  // Overlay element and the element holding the messages
+  let overlay = null;
+  let titleElement = null;
+  let messagesElement = null;
+
+  // Callback for message clicks
+  let onSelectCallback = null;
+
+  // Overlay styles
+  const styles = Util.createStyleSheet('ta-conversation-styles', `
+    #ta-conversation {
+      position: fixed;
+      inset: 0;
+      z-index: 10001;
+      background: rgba(0, 0, 0, 0.45);
+      display: none;
+      align-items: center;
+      justify-content: center;
+    }
+
+    #ta-conversation.visible {
+      display: flex;
+    }
+
+    .ta-conversation-dialog {
+      width: min(600px, 92vw);
+      max-height: 85vh;
+      display: flex;
+      flex-direction: column;
+      background: var(--ta-bg-gradient);
+      border: 2px solid var(--ta-border);
+      border-radius: 8px;
+      box-shadow: 0 8px 24px rgba(0, 0, 0, 0.4);
+      font-family: verdana, arial, helvetica, sans-serif;
+      font-size: 12px;
+      color: var(--ta-text);
+    }
+
+    .ta-conversation-header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      padding: 8px 12px;
+      border-bottom: 1px solid var(--ta-row-border);
+      font-weight: bold;
+    }
+
+    .ta-conversation-close {
+      background: none;
+      border: none;
+      color: var(--ta-text-faint);
+      font-family: inherit;
+      cursor: pointer;
+    }
+
+    .ta-conversation-close:hover {
+      color: var(--ta-accent-hover);
+    }
+
+    .ta-conversation-messages {
+      flex: 1;
+      overflow-y: auto;
+      padding: 10px 12px;
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+    }
+
+    .ta-conversation-message {
+      max-width: 80%;
+      align-self: flex-start;
+      padding: 6px 10px;
+      border-radius: 10px 10px 10px 2px;
+      background: var(--ta-row-hover);
+      cursor: pointer;
+    }
+
+    .ta-conversation-message.right {
+      align-self: flex-end;
+      border-radius: 10px 10px 2px 10px;
+      background: color-mix(in srgb, var(--ta-accent) 20%, transparent);
+    }
+
+    .ta-conversation-message.current {
+      outline: 2px solid var(--ta-accent);
+    }
+
+    .ta-conversation-message:hover {
+      outline: 1px solid var(--ta-accent-hover);
+    }
+
+    .ta-conversation-meta {
+      display: flex;
+      gap: 6px;
+      color: var(--ta-text-faint);
+      font-size: 11px;
+    }
+
+    .ta-conversation-author {
+      color: var(--ta-author);
+      font-weight: bold;
+    }
+
+    .ta-conversation-quote {
+      margin-top: 2px;
+      color: var(--ta-text-muted);
+      font-size: 11px;
+      font-style: italic;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+
+    .ta-conversation-body {
+      margin-top: 4px;
+      white-space: pre-wrap;
+      overflow-wrap: anywhere;
+    }
+  `);
+
+  /**
+   * Get a comment's author
+   * @param {Element} comment - Comment element
+   * @returns {string}
+   */
+  function getAuthor(comment) {
+    const meta = Selectors.getCommentMeta(comment);
+    return meta ? meta.author : '';
+  }
+
+  /**
+   * Extract the conversation between a comment's author and its parent's author
+   * @param {Element} comment - Comment element
+   * @returns {Object|null} { authors, root, messages } where authors is
+   *   [parent's author, comment's author], root is the first comment of the
+   *   exchange and messages are { comment, author, parent } in document
+   *   order; null for top-level comments and replies to oneself
+   */
+  function extract(comment) {
+    if (!Selectors.isCommentThing(comment)) return null;
+
+    const chain = Ancestors.computeAncestors(comment);
+    if (chain.length < 2) return null;
+
+    const parent = chain[chain.length - 2];
+    const authors = [getAuthor(parent), getAuthor(comment)];
+    if (!AuthorFollow.canFollow(authors[0]) || !AuthorFollow.canFollow(authors[1])) return null;
+    if (Util.normalizeUsername(authors[0]) === Util.normalizeUsername(authors[1])) return null;
+
+    const names = new Set(authors.map(Util.normalizeUsername));
+    const isParticipant = el => names.has(Util.normalizeUsername(getAuthor(el)));
+
+    // The exchange starts where the chain above the comment was last
+    // joined by someone else
+    let start = chain.length - 2;
+    while (start > 0 && isParticipant(chain[start - 1])) start--;
+    const exchange = new Set(chain.slice(start));
+
+    const end = Util.perfStart('conversation.extract');
+
+    const messages = Selectors.getAllCommentThings().filter(candidate => {
+      if (!isParticipant(candidate) || !Ancestors.shareTopLevel(candidate, comment)) return false;
+
+      // Branches off the exchange count if only the two of them are in them
+      const common = Ancestors.findCommonAncestor(candidate, comment);
+      if (!exchange.has(common)) return false;
+
+      const path = Ancestors.computeAncestors(candidate);
+      return path.slice(path.indexOf(common)).every(isParticipant);
+    }).map(el => {
+      const path = Ancestors.computeAncestors(el);
+      return { comment: el, author: getAuthor(el), parent: path[path.length - 2] || null };
+    });
+
+    end();
+    return { authors, root: chain[start], messages };
+  }
+
+  /**
+   * Create a message bubble
+   * @param {Object} message - { comment, author, parent }
+   * @param {Element|null} previous - The comment shown just above
+   * @param {string} rightAuthor - Author whose messages go on the right
+   * @returns {Element}
+   */
+  function createMessage(message, previous, rightAuthor) {
+    const { comment, author, parent } = message;
+
+    const el = document.createElement('div');
+    el.className = 'ta-conversation-message';
+    if (Util.normalizeUsername(author) === Util.normalizeUsername(rightAuthor)) {
+      el.classList.add('right');
+    }
+    el.title = 'Show in thread';
+
+    const header = document.createElement('div');
+    header.className = 'ta-conversation-meta';
+
+    const authorEl = document.createElement('span');
+    authorEl.className = 'ta-conversation-author';
+    authorEl.textContent = author;
+    header.appendChild(authorEl);
+
+    const meta = Selectors.getCommentMeta(comment);
+    if (meta && meta.score) {
+      const scoreEl = document.createElement('span');
+      scoreEl.textContent = meta.score;
+      header.appendChild(scoreEl);
+    }
+    if (meta && meta.time) {
+      const timeEl = document.createElement('span');
+      timeEl.textContent = meta.time;
+      header.appendChild(timeEl);
+    }
+    el.appendChild(header);
+
+    // Messages from another branch say what they answer
+    if (parent && parent !== previous) {
+      const parentMeta = Selectors.getCommentMeta(parent);
+      const quote = document.createElement('div');
+      quote.className = 'ta-conversation-quote';
+      quote.textContent = `↩ ${parentMeta ? `${parentMeta.author}: ${parentMeta.excerpt}` : 'earlier comment'}`;
+      el.appendChild(quote);
+    }
+
+    const body = document.createElement('div');
+    body.className = 'ta-conversation-body';
+    body.textContent = Selectors.getCommentText(comment);
+    el.appendChild(body);
+
+    el.addEventListener('click', (e) => {
+      e.preventDefault();
+      hide();
+      if (onSelectCallback) {
+        try {
+          onSelectCallback(comment);
+        } catch (error) {
+          console.error('[Conversation] Select callback error:', error);
+        }
+      }
+    });
+
+    return el;
+  }
+
+  /**
+   * Close the overlay on Escape
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  function handleKeydown(e) {
+    if (e.key !== 'Escape') return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    hide();
+  }
+
+  /**
+   * Create the overlay element
+   */
+  function createOverlay() {
+    overlay = document.createElement('div');
+    overlay.id = 'ta-conversation';
+
+    // Clicks on the backdrop close the overlay; none reach the page
+    overlay.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (e.target === overlay) hide();
+    });
+
+    const dialog = document.createElement('div');
+    dialog.className = 'ta-conversation-dialog';
+
+    const header = document.createElement('div');
+    header.className = 'ta-conversation-header';
+
+    titleElement = document.createElement('span');
+    header.appendChild(titleElement);
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'ta-conversation-close';
+    close.textContent = '✕';
+    close.title = 'Close conversation';
+    close.addEventListener('click', (e) => {
+      e.preventDefault();
+      hide();
+    });
+    header.appendChild(close);
+
+    dialog.appendChild(header);
+
+    messagesElement = document.createElement('div');
+    messagesElement.className = 'ta-conversation-messages';
+    dialog.appendChild(messagesElement);
+
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+  }
+
+  /**
+   * Show the conversation a comment is part of
+   * @param {Element} comment - Comment element
+   * @returns {boolean} False if the comment isn't a reply to someone else
+   */
+  function show(comment) {
+    if (!isActive) return false;
+
+    const conversation = extract(comment);
+    if (!conversation) return false;
+
+    if (!overlay) createOverlay();
+
+    const [left, right] = conversation.authors;
+    const count = conversation.messages.length;
+    titleElement.textContent = `${left} ⇄ ${right} · ${count} message${count === 1 ? '' : 's'}`;
+
+    const fragment = document.createDocumentFragment();
+    let previous = null;
+    conversation.messages.forEach(message => {
+      const el = createMessage(message, previous, right);
+      if (message.comment === comment) el.classList.add('current');
+      fragment.appendChild(el);
+      previous = message.comment;
+    });
+    messagesElement.replaceChildren(fragment);
+
+    overlay.classList.add('visible');
+    document.addEventListener('keydown', handleKeydown, true);
+
+    const current = messagesElement.querySelector('.current');
+    if (current) current.scrollIntoView({ block: 'center' });
+    return true;
+  }
+
+  /**
+   * Hide the overlay
+   */
+  function hide() {
+    if (!overlay) return;
+
+    overlay.classList.remove('visible');
+    messagesElement.replaceChildren();
+    document.removeEventListener('keydown', handleKeydown, true);
+  }
+
+  /**
+   * Check if the overlay is shown
+   * @returns {boolean}
+   */
+  function isVisible() {
+    return !!overlay && overlay.classList.contains('visible');
+  }
+
+  /**
+   * Initialize the conversation view (the overlay is created when first shown)
+   * @param {Object} options - Configuration options
+   * @param {Function} options.onSelect - Called with the comment of a clicked message
+   */
+  function init(options = {}) {
+    if (isActive) return;
+
+    onSelectCallback = options.onSelect || null;
+    isActive = true;
+    styles.inject();
+
+    console.log('[Conversation] Initialized');
+  }
+
+  /**
+   * Destroy the conversation view and remove the overlay
+   */
+  function destroy() {
+    if (!isActive) return;
+
+    hide();
+    if (overlay && overlay.parentNode) {
+      overlay.parentNode.removeChild(overlay);
+    }
+    overlay = null;
+    titleElement = null;
+    messagesElement = null;
+    styles.remove();
+    onSelectCallback = null;
+    isActive = false;
+
+    console.log('[Conversation] Destroyed');
+  }
+
+  // Public API
+  return {
+    init,
+    destroy,
+    extract,
+    show,
+    hide,
+    isVisible
+  };
+})();
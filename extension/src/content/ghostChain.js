@@ -0,0 +1,167 @@
+/**
+ * ghostChain.js - Keep the ancestor chain across "continue this thread"
+ *
+ * Old Reddit's .morerecursion link opens a new page that starts at a
+ * deep comment, so its ancestors are no longer in the DOM. Before the
+ * link navigates, the chain's metadata is captured in sessionStorage;
+ * on the continuation page it is handed to StickyUI as "ghost" rows
+ * shown above the live chain.
+ */
+
+const GhostChain = (() => {
+  // sessionStorage key prefix (followed by "<postId>:<root comment ID>")
+  const STORAGE_PREFIX = 'ta-ghosts:';
+
+  // Module state
+  let isActive = false;
+
+  // Post ID of the thread
+  let postId = null;
+
+  // ID of the comment the captured chain leads to (top of this page)
+  let rootId = null;
+
+  // Captured ancestors above rootId, top-level first
+  let ghosts = [];
+
+  /**
+   * Build the sessionStorage key for a continuation root
+   * @param {string} commentId - Root comment ID
+   * @returns {string}
+   */
+  function getStorageKey(commentId) {
+    return `${STORAGE_PREFIX}${postId}:${commentId}`;
+  }
+
+  /**
+   * Get the comment ID a "continue this thread" link leads to
+   * @param {Element} link - The link element
+   * @returns {string|null} Comment ID (t1_...) or null
+   */
+  function getLinkTargetId(link) {
+    const match = (link.getAttribute('href') || '').match(/\/comments\/[a-z0-9]+\/[^\/]*\/([a-z0-9]+)/i);
+    return match ? 't1_' + match[1] : null;
+  }
+
+  /**
+   * Capture the metadata shown in a sticky row for a comment
+   * @param {Element} comment - Comment element
+   * @returns {Object} { id, author, score, excerpt, permalink }
+   */
+  function toEntry(comment) {
+    const meta = Selectors.getCommentMeta(comment) || {};
+    return {
+      id: Selectors.getCommentId(comment),
+      author: meta.author || '[unknown]',
+      score: meta.score || '',
+      excerpt: meta.excerpt || '',
+      permalink: comment.getAttribute('data-permalink') || ''
+    };
+  }
+
+  /**
+   * Get the ghost rows above a comment's live chain
+   * @param {Element|null} comment - Comment element
+   * @returns {Object[]} Ghost entries, top-level first (empty if none)
+   */
+  function getGhosts(comment) {
+    if (!isActive || ghosts.length === 0 || !comment) return [];
+
+    const top = Ancestors.getTopLevelAncestor(comment);
+    return top && Selectors.getCommentId(top) === rootId ? ghosts.slice() : [];
+  }
+
+  /**
+   * Save the chain above a "continue this thread" target before navigating
+   * @param {Event} event - Click event
+   */
+  function handleClick(event) {
+    const link = event.target.closest && event.target.closest('.morerecursion a');
+    if (!link) return;
+
+    // Walk up from the link to the comment whose replies continue
+    let owner = link.parentElement;
+    while (owner && !Selectors.isCommentThing(owner)) {
+      owner = owner.parentElement;
+    }
+    if (!owner) return;
+
+    const chain = getGhosts(owner).concat(Ancestors.computeAncestors(owner).map(toEntry));
+    const targetId = getLinkTargetId(link) || Selectors.getCommentId(owner);
+
+    // Keep only the ancestors above the comment the new page starts at
+    const targetIndex = chain.findIndex(entry => entry.id === targetId);
+    const captured = targetIndex === -1 ? chain : chain.slice(0, targetIndex);
+    if (captured.length === 0) return;
+
+    try {
+      sessionStorage.setItem(getStorageKey(targetId), JSON.stringify(captured));
+    } catch (error) {
+      console.error('[GhostChain] Failed to save chain:', error);
+    }
+  }
+
+  /**
+   * Load the chain captured for this page, if it is a continuation page
+   */
+  function loadGhosts() {
+    const topLevel = Selectors.getTopLevelThings();
+    if (topLevel.length !== 1) return;
+
+    const id = Selectors.getCommentId(topLevel[0]);
+    let stored = null;
+    try {
+      stored = JSON.parse(sessionStorage.getItem(getStorageKey(id)) || 'null');
+    } catch (error) {
+      console.error('[GhostChain] Failed to load chain:', error);
+    }
+    if (!Array.isArray(stored)) return;
+
+    rootId = id;
+    // Anything still in the DOM is rendered as a live row instead
+    ghosts = stored.filter(entry => entry && entry.id && !Selectors.getCommentById(entry.id));
+  }
+
+  /**
+   * Initialize chain capture and load ghosts for this page
+   * @param {Object} options - Configuration options
+   * @param {string} options.postId - Post ID of the thread
+   */
+  function init(options = {}) {
+    if (isActive) return;
+
+    postId = options.postId || null;
+    if (!postId) return;
+
+    isActive = true;
+    loadGhosts();
+
+    // Capture phase, so the chain is saved before the page navigates
+    document.addEventListener('click', handleClick, true);
+
+    console.log('[GhostChain] Initialized with', ghosts.length, 'ghost ancestors');
+  }
+
+  /**
+   * Destroy chain capture (saved chains stay in sessionStorage)
+   */
+  function destroy() {
+    if (!isActive) return;
+
+    document.removeEventListener('click', handleClick, true);
+
+    postId = null;
+    rootId = null;
+    ghosts = [];
+    isActive = false;
+
+    console.log('[GhostChain] Destroyed');
+  }
+
+  // Public API
+  return {
+    init,
+    destroy,
+    getGhosts
+  };
+})();
@@ -0,0 +1,26 @@
+/**
+ * historyHook.js - Announce client-side navigations to the content scripts
+ *
+ * Runs in the page's own JavaScript world (see manifest.json), because
+ * content scripts get their own window.history wrapper and never see
+ * the page's pushState/replaceState calls. Each call is followed by a
+ * "ta:locationchange" event on window, which Navigation listens for.
+ */
+
+(() => {
+  const EVENT_NAME = 'ta:locationchange';
+
+  // Guard against double injection
+  if (window.__threadAnchorHistoryHook) return;
+  window.__threadAnchorHistoryHook = true;
+
+  ['pushState', 'replaceState'].forEach(method => {
+    const original = history[method];
+
+    history[method] = function(...args) {
+      const result = original.apply(this, args);
+      window.dispatchEvent(new Event(EVENT_NAME));
+      return result;
+    };
+  });
+})();
@@ -0,0 +1,199 @@
+/**
+ * keyboardNav.js - Keyboard navigation of the comment tree
+ *
+ * Moves the anchored comment around the thread without the mouse:
+ * next/previous sibling, parent, first child and next top-level comment.
+ * Each move re-anchors the target and scrolls it just below the sticky
+ * header. Other bound actions (bookmarks, ...) are handed to the
+ * onAction callback. Keys are ignored while typing in inputs or reply boxes.
+ */
+
+const KeyboardNav = (() => {
+  // Default key bindings (action -> KeyboardEvent.key)
+  const DEFAULT_BINDINGS = {
+    nextSibling: 'j',
+    prevSibling: 'k',
+    parent: 'p',
+    firstChild: 'c',
+    nextTopLevel: 'n',
+    toggleBookmark: 'b',
+    nextBookmark: 'm',
+    nextUnread: 'u',
+    search: '/',
+    followAuthor: 'f',
+    nextOpReply: 'o',
+    showConversation: 'v',
+    toggleOutline: 't'
+  };
+
+  // Actions handled here; the rest go to the onAction callback
+  const NAV_ACTIONS = ['nextSibling', 'prevSibling', 'parent', 'firstChild', 'nextTopLevel'];
+
+  // Module state
+  let isActive = false;
+
+  // Callback for non-navigation actions
+  let onActionCallback = null;
+
+  // Current bindings and reverse lookup (key -> action)
+  let bindings = { ...DEFAULT_BINDINGS };
+  let keyToAction = new Map();
+
+  /**
+   * Rebuild the key -> action lookup from the bindings
+   */
+  function buildKeyMap() {
+    keyToAction = new Map();
+    for (const [action, key] of Object.entries(bindings)) {
+      if (key) keyToAction.set(key, action);
+    }
+  }
+
+  /**
+   * Get the sibling at an offset from a comment
+   * @param {Element} comment - The comment element
+   * @param {number} offset - +1 for next, -1 for previous
+   * @returns {Element|null}
+   */
+  function getSiblingAt(comment, offset) {
+    const siblings = Ancestors.getSiblings(comment);
+    const index = siblings.indexOf(comment);
+    if (index === -1) return null;
+    return siblings[index + offset] || null;
+  }
+
+  /**
+   * Pick a starting comment when nothing is anchored yet:
+   * the first top-level comment that is still on screen
+   * @returns {Element|null}
+   */
+  function getStartingComment() {
+    const topLevel = Selectors.getTopLevelThings();
+    const line = StickyUI.getScrollOffset();
+
+    for (const comment of topLevel) {
+      if (comment.getBoundingClientRect().bottom > line) return comment;
+    }
+    return topLevel[0] || null;
+  }
+
+  /**
+   * Resolve the target comment for a navigation action
+   * @param {string} action - Navigation action name
+   * @param {Element} current - The anchored comment
+   * @returns {Element|null}
+   */
+  function resolveTarget(action, current) {
+    switch (action) {
+      case 'nextSibling':
+        return getSiblingAt(current, 1);
+      case 'prevSibling':
+        return getSiblingAt(current, -1);
+      case 'parent':
+        return Selectors.getParentThing(current);
+      case 'firstChild':
+        return Ancestors.getChildren(current)[0] || null;
+      case 'nextTopLevel':
+        return getSiblingAt(Ancestors.getTopLevelAncestor(current), 1);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Move the anchor according to a navigation action
+   * @param {string} action - One of the NAV_ACTIONS names
+   * @returns {boolean} True if the anchor moved
+   */
+  function navigate(action) {
+    if (!NAV_ACTIONS.includes(action)) return false;
+
+    const current = ActiveComment.getActive();
+    const target = current ? resolveTarget(action, current) : getStartingComment();
+    if (!target) return false;
+
+    // Anchor first so the header height is final before scrolling
+    ActiveComment.setActive(target);
+    StickyUI.scrollToComment(target);
+    return true;
+  }
+
+  /**
+   * Handle keydown events
+   * @param {KeyboardEvent} event
+   */
+  function handleKeydown(event) {
+    if (!isActive || event.defaultPrevented) return;
+    if (event.ctrlKey || event.altKey || event.metaKey) return;
+
+    // Reply boxes on new Reddit live in shadow roots; check the real target
+    const target = event.composedPath ? event.composedPath()[0] : event.target;
+    if (Util.isEditableElement(target)) return;
+
+    const action = keyToAction.get(event.key);
+    if (!action) return;
+
+    let handled = false;
+    if (NAV_ACTIONS.includes(action)) {
+      handled = navigate(action);
+    } else if (onActionCallback) {
+      try {
+        handled = onActionCallback(action) !== false;
+      } catch (error) {
+        console.error('[KeyboardNav] Action error:', error);
+      }
+    }
+
+    if (handled) {
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Update key bindings
+   * @param {Object} newBindings - Map of action name -> key
+   */
+  function setBindings(newBindings = {}) {
+    bindings = { ...DEFAULT_BINDINGS, ...newBindings };
+    buildKeyMap();
+  }
+
+  /**
+   * Initialize keyboard navigation
+   * @param {Object} options - Configuration options
+   * @param {Object} options.bindings - Map of action name -> key
+   * @param {Function} options.onAction - Callback for non-navigation actions;
+   *   return false if the action did nothing
+   */
+  function init(options = {}) {
+    setBindings(options.bindings);
+    onActionCallback = options.onAction || null;
+    if (isActive) return;
+
+    isActive = true;
+    document.addEventListener('keydown', handleKeydown);
+
+    console.log('[KeyboardNav] Initialized with bindings:', bindings);
+  }
+
+  /**
+   * Destroy keyboard navigation
+   */
+  function destroy() {
+    if (!isActive) return;
+
+    document.removeEventListener('keydown', handleKeydown);
+    onActionCallback = null;
+    isActive = false;
+
+    console.log('[KeyboardNav] Destroyed');
+  }
+
+  // Public API
+  return {
+    init,
+    destroy,
+    navigate,
+    setBindings
+  };
+})();
@@ -5,6 +5,7 @@
  * - Load settings from chrome.storage.sync
  * - Listen for settings changes
  * - Initialize/deinitialize feature modules based on settings
+ * - Re-initialize when new Reddit navigates to another page
  */
 
 const ThreadAnchor = (() => {
@@ -14,14 +15,41 @@ const ThreadAnchor = (() => {
     stickyDepth: 20,
     stickyCompact: true,
     stickyTheme: 'dark',
+    trackingMode: 'click',
     manualColors: {
       bg: '#1e3a5f',
       text: '#e8f1f5',
       accent: '#4ecdc4',
       author: '#7fdbda'
+    },
+    restoreAnchorEnabled: true,
+    readTrackingEnabled: true,
+    readMarkersEnabled: false,
+    loadMoreLimit: 10,
+    fetchAncestorsEnabled: true,
+    minimapEnabled: true,
+    newCommentsEnabled: true,
+    keyboardNavEnabled: true,
+    keyBindings: {
+      nextSibling: 'j',
+      prevSibling: 'k',
+      parent: 'p',
+      firstChild: 'c',
+      nextTopLevel: 'n',
+      toggleBookmark: 'b',
+      nextBookmark: 'm',
+      nextUnread: 'u',
+      search: '/',
+      followAuthor: 'f',
+      nextOpReply: 'o',
+      showConversation: 'v',
+      toggleOutline: 't'
     }
   };
 
+  // Theme order for the "cycle theme" command
+  const THEME_ORDER = ['dark', 'light', 'auto', 'manual'];
+
   // Current settings
   let settings = { ...DEFAULTS };
 
@@ -31,6 +59,15 @@ const ThreadAnchor = (() => {
   // Track current active comment for re-renders
   let currentActiveComment = null;
 
+  // Bumped on every route change, so an init that outlives its page stops
+  let routeGeneration = 0;
+
+  // Save the anchored comment for this thread (debounced; scroll mode moves it often)
+  const saveAnchorDebounced = Util.debounce(saveAnchor, 500);
+
+  // Refresh unread badges as comments get read (throttled)
+  const refreshUnreadThrottled = Util.throttle(() => StickyUI.refreshUnreadCounts(), 1000);
+
   /**
    * Load settings from storage
    * @returns {Promise<Object>} Settings object
@@ -56,6 +93,12 @@ const ThreadAnchor = (() => {
 
     let needsStickyUpdate = false;
     let needsRerender = false;
+    let needsModeUpdate = false;
+    let needsKeyboardUpdate = false;
+    let needsReadStateUpdate = false;
+    let needsNewCommentsUpdate = false;
+    let needsResolverUpdate = false;
+    let needsMinimapUpdate = false;
 
     for (const [key, { newValue }] of Object.entries(changes)) {
       if (key in settings) {
@@ -69,16 +112,62 @@ const ThreadAnchor = (() => {
         if (key === 'stickyDepth' || key === 'stickyCompact' || key === 'stickyTheme' || key === 'manualColors') {
           needsRerender = true;
         }
+        if (key === 'trackingMode') {
+          needsModeUpdate = true;
+        }
+        if (key === 'keyboardNavEnabled' || key === 'keyBindings') {
+          needsKeyboardUpdate = true;
+        }
+        if (key === 'readTrackingEnabled') {
+          needsReadStateUpdate = true;
+        }
+        if (key === 'fetchAncestorsEnabled') {
+          needsResolverUpdate = true;
+        }
+        if (key === 'newCommentsEnabled') {
+          needsNewCommentsUpdate = true;
+        }
+        if (key === 'minimapEnabled') {
+          needsMinimapUpdate = true;
+        }
+        if (key === 'readMarkersEnabled' && typeof ReadState !== 'undefined') {
+          ReadState.setMarkersEnabled(newValue);
+        }
       }
     }
 
     // Update modules as needed
+    if (needsModeUpdate && settings.stickyAncestorsEnabled) {
+      ActiveComment.setMode(settings.trackingMode);
+    }
+
     if (needsStickyUpdate) {
       updateStickyAncestors();
     } else if (needsRerender && settings.stickyAncestorsEnabled) {
       // Re-render with current active comment
       rerenderStickyUI();
     }
+
+    if (needsKeyboardUpdate && !needsStickyUpdate) {
+      updateKeyboardNav();
+    }
+
+    if (needsReadStateUpdate) {
+      updateReadState();
+    }
+
+    if (needsNewCommentsUpdate) {
+      updateNewComments();
+    }
+
+    if (needsResolverUpdate && !needsStickyUpdate) {
+      updateAncestorResolver();
+      rerenderStickyUI();
+    }
+
+    if (needsMinimapUpdate && !needsStickyUpdate) {
+      updateMinimap();
+    }
   }
 
   /**
@@ -106,23 +195,603 @@ const ThreadAnchor = (() => {
     }
 
     if (settings.stickyAncestorsEnabled) {
-      // Initialize active comment tracking
-      ActiveComment.init({
-        onActiveChange: handleActiveCommentChange
-      });
-
-      // Initialize sticky UI with theme
+      // Initialize sticky UI with theme (before ActiveComment, which may
+      // anchor a linked comment straight away)
       StickyUI.init({
         depth: settings.stickyDepth,
         compact: settings.stickyCompact,
         theme: settings.stickyTheme,
         manualColors: settings.manualColors
       });
+
+      // Toolbar actions
+      StickyUI.on('back', handleHistoryBack);
+      StickyUI.on('forward', handleHistoryForward);
+      StickyUI.on('copy-link', handleCopyLink);
+      StickyUI.on('next-unread', jumpToNextUnread);
+      StickyUI.on('load-more', loadMoreReplies);
+      StickyUI.on('load-more-cancel', () => MoreComments.cancel());
+      StickyUI.on('bookmark', toggleBookmark);
+      StickyUI.on('bookmark-select', revealComment);
+      StickyUI.on('bookmark-remove', removeBookmark);
+      StickyUI.on('sibling-select', revealComment);
+      StickyUI.on('collapse-toggle', toggleCollapsed);
+      StickyUI.on('new-prev', () => jumpToNewComment(-1));
+      StickyUI.on('new-next', () => jumpToNewComment(1));
+      StickyUI.on('op-prev', () => jumpToOpReply(-1));
+      StickyUI.on('op-next', () => jumpToOpReply(1));
+      StickyUI.on('outline', () => Outline.toggle());
+      StickyUI.on('search', runSearch);
+      StickyUI.on('search-select', revealComment);
+      StickyUI.on('follow-author', followAuthor);
+      StickyUI.on('follow-prev', () => stepFollowedAuthor(-1));
+      StickyUI.on('follow-next', () => stepFollowedAuthor(1));
+      StickyUI.on('follow-stop', stopFollowing);
+      StickyUI.on('conversation', showConversation);
+
+      // Load ancestors captured on the previous page before anything renders
+      GhostChain.init({ postId: getPostId() });
+      updateAncestorResolver();
+
+      // Keep caches and the header in sync with comments loaded or removed later
+      CommentObserver.init({ onChange: handleCommentsChanged });
+
+      // Initialize active comment tracking
+      const wasAnchored = ActiveComment.getActive();
+      ActiveComment.init({
+        onActiveChange: handleActiveCommentChange,
+        mode: settings.trackingMode
+      });
+
+      // Reveal a comment anchored from the URL (#ta= link or ?context= permalink)
+      const linked = ActiveComment.getActive();
+      if (linked && linked !== wasAnchored) {
+        StickyUI.scrollToComment(linked);
+      }
+
+      Bookmarks.init({
+        postId: getPostId(),
+        onChange: renderBookmarks
+      });
+
+      Outline.init({ onSelect: revealComment });
+      Outline.setActive(ActiveComment.getActive());
+
+      Conversation.init({ onSelect: revealComment });
     } else {
+      AuthorFollow.stop();
+      Outline.destroy();
+      Conversation.destroy();
+      Minimap.destroy();
+      CommentObserver.destroy();
+      MoreComments.destroy();
+      GhostChain.destroy();
+      updateAncestorResolver();
+      Bookmarks.destroy();
       ActiveComment.destroy();
       StickyUI.destroy();
       currentActiveComment = null;
     }
+
+    updateMinimap();
+    updateKeyboardNav();
+  }
+
+  /**
+   * Initialize or destroy the scrollbar minimap
+   * (only available while sticky ancestors are enabled)
+   */
+  function updateMinimap() {
+    if (typeof Minimap === 'undefined') return;
+
+    if (settings.stickyAncestorsEnabled && settings.minimapEnabled) {
+      Minimap.init({ onSelect: revealComment });
+      Minimap.setActive(ActiveComment.getActive());
+      renderBookmarks();
+    } else {
+      Minimap.destroy();
+    }
+  }
+
+  /**
+   * Initialize or destroy read tracking
+   */
+  async function updateReadState() {
+    if (typeof ReadState === 'undefined') return;
+
+    if (settings.readTrackingEnabled) {
+      await ReadState.init({
+        postId: getPostId(),
+        markers: settings.readMarkersEnabled,
+        onChange: refreshUnreadThrottled
+      });
+    } else {
+      ReadState.destroy();
+    }
+
+    StickyUI.refreshUnreadCounts();
+  }
+
+  /**
+   * Initialize or destroy new comment highlighting
+   */
+  async function updateNewComments() {
+    if (typeof NewComments === 'undefined') return;
+
+    if (settings.newCommentsEnabled) {
+      await NewComments.init({ postId: getPostId() });
+    } else {
+      NewComments.destroy();
+    }
+
+    StickyUI.refreshNewCount();
+  }
+
+  /**
+   * Initialize or update keyboard navigation
+   * (only available while sticky ancestors are enabled)
+   */
+  function updateKeyboardNav() {
+    if (typeof KeyboardNav === 'undefined') return;
+
+    if (settings.stickyAncestorsEnabled && settings.keyboardNavEnabled) {
+      KeyboardNav.init({
+        bindings: settings.keyBindings,
+        onAction: handleAction
+      });
+    } else {
+      KeyboardNav.destroy();
+    }
+  }
+
+  /**
+   * Get the ID of the current thread's post
+   * @returns {string|null}
+   */
+  function getPostId() {
+    const op = Selectors.getOriginalPost();
+    return op && op.postId ? op.postId : null;
+  }
+
+  /**
+   * Persist the anchored comment for this thread so it can be restored
+   * on reload or revisit
+   * @param {Element|null} comment - The anchored comment
+   */
+  function saveAnchor(comment) {
+    if (!settings.restoreAnchorEnabled || typeof ThreadStore === 'undefined') return;
+
+    const postId = getPostId();
+    if (!postId) return;
+
+    const commentId = comment ? Selectors.getCommentId(comment) : null;
+    ThreadStore.update(postId, { anchor: commentId });
+  }
+
+  /**
+   * Re-anchor and scroll to the comment saved for this thread, if any
+   */
+  async function restoreAnchor() {
+    if (!settings.restoreAnchorEnabled || !settings.stickyAncestorsEnabled) return;
+    if (typeof ThreadStore === 'undefined') return;
+
+    const postId = getPostId();
+    if (!postId) return;
+
+    const record = await ThreadStore.get(postId);
+    const comment = Selectors.getCommentById(record.anchor);
+
+    // Don't override an anchor the user picked while we were loading
+    if (!comment || ActiveComment.getActive()) return;
+
+    revealComment(comment);
+  }
+
+  /**
+   * Anchor a comment and scroll it into view below the sticky header
+   * @param {Element} comment - Comment to reveal
+   */
+  function revealComment(comment) {
+    ActiveComment.setActive(comment);
+    StickyUI.scrollToComment(comment);
+  }
+
+  /**
+   * Collapse or expand a comment through Reddit's own control, keeping
+   * the anchor and the toggled comment in view as the page reflows
+   * @param {Element} comment - Comment element
+   */
+  function toggleCollapsed(comment) {
+    const control = Selectors.getExpandControl(comment);
+    if (!control) return;
+
+    // Don't let the reflow re-anchor in scroll mode
+    ActiveComment.holdScrollTracking();
+    control.click();
+
+    Util.raf(() => {
+      StickyUI.updateContainerPosition();
+
+      // Collapsing content above the viewport pulls the comment up out of view
+      if (comment.getBoundingClientRect().top < StickyUI.getScrollOffset()) {
+        Util.scrollToElement(comment, { behavior: 'auto', offset: StickyUI.getScrollOffset() });
+      }
+    });
+  }
+
+  /**
+   * Anchor and reveal the next comment not read yet
+   * @returns {boolean} False if there is nothing unread or read tracking is off
+   */
+  function jumpToNextUnread() {
+    if (typeof ReadState === 'undefined') return false;
+
+    if (!settings.readTrackingEnabled) {
+      StickyUI.showStatus('Read tracking is off');
+      return false;
+    }
+
+    const comment = ReadState.findNextUnread(ActiveComment.getActive());
+    if (!comment) {
+      StickyUI.showStatus('No unread comments');
+      return false;
+    }
+
+    revealComment(comment);
+    return true;
+  }
+
+  /**
+   * Anchor and reveal the next or previous comment new since the last visit
+   * @param {number} direction - 1 for next, -1 for previous
+   * @returns {boolean} False if there are no new comments
+   */
+  function jumpToNewComment(direction) {
+    if (typeof NewComments === 'undefined') return false;
+
+    const current = ActiveComment.getActive();
+    const comment = direction < 0 ? NewComments.prev(current) : NewComments.next(current);
+    if (!comment) {
+      StickyUI.showStatus('No new comments');
+      return false;
+    }
+
+    revealComment(comment);
+    return true;
+  }
+
+  /**
+   * Show the exchange between a comment's author and its parent's author
+   * @param {Element} [comment] - Comment (defaults to the anchored comment)
+   * @returns {boolean} False if the comment isn't a reply to someone else
+   */
+  function showConversation(comment) {
+    const target = comment || ActiveComment.getActive();
+    if (!target) {
+      StickyUI.showStatus('Anchor a comment first');
+      return false;
+    }
+
+    if (!Conversation.show(target)) {
+      StickyUI.showStatus('Not a reply to someone else');
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Anchor and reveal the submitter's next or previous comment
+   * @param {number} direction - 1 for next, -1 for previous
+   * @returns {boolean} False if OP has no comments on the page
+   */
+  function jumpToOpReply(direction) {
+    const current = ActiveComment.getActive();
+    const comment = direction < 0 ? OpReplies.prev(current) : OpReplies.next(current);
+    if (!comment) {
+      StickyUI.showStatus('No comments by OP');
+      return false;
+    }
+
+    revealComment(comment);
+    return true;
+  }
+
+  /**
+   * Load the "more comments" batches under the anchored comment,
+   * showing progress (with cancel) in the sticky header
+   * @returns {Promise<boolean>} False if nothing is anchored or a load is running
+   */
+  async function loadMoreReplies() {
+    const root = ActiveComment.getActive();
+    if (!root) {
+      StickyUI.showStatus('Anchor a comment first');
+      return false;
+    }
+    if (MoreComments.isLoading()) return false;
+
+    if (MoreComments.countPending(root) === 0) {
+      StickyUI.showStatus('All replies loaded');
+      return true;
+    }
+
+    const limit = settings.loadMoreLimit;
+    StickyUI.showProgress('Loading replies…');
+
+    const result = await MoreComments.loadSubtree(root, {
+      limit,
+      onProgress: ({ batches, comments }) => {
+        StickyUI.showProgress(`Loaded ${comments} replies (${batches}/${limit})`);
+      }
+    });
+
+    StickyUI.hideProgress();
+
+    if (result.cancelled) {
+      StickyUI.showStatus(`Cancelled after ${result.comments} replies`);
+    } else if (result.timedOut) {
+      StickyUI.showStatus('Reddit stopped responding');
+    } else if (result.remaining > 0) {
+      StickyUI.showStatus(`Loaded ${result.comments} replies, ${result.remaining} more left`);
+    } else {
+      StickyUI.showStatus(`Loaded ${result.comments} replies`);
+    }
+    return true;
+  }
+
+  /**
+   * Update the modules and the header after comments were added,
+   * removed or changed in the page (reported by CommentObserver)
+   * @param {Object} changes - { added, removed, changed } comment arrays
+   */
+  function handleCommentsChanged({ added, removed, changed }) {
+    // Edited comments must be searched with their new text
+    changed.forEach(comment => Search.invalidate(comment));
+
+    if (added.length > 0 || removed.length > 0) {
+      OpReplies.invalidate();
+      StickyUI.refreshOpReplies();
+      Outline.refresh();
+      Minimap.refresh();
+
+      // Bookmarked comments may have been loaded or removed
+      renderBookmarks();
+    }
+
+    if (added.length > 0) {
+      ActiveComment.observeComments(added);
+      if (typeof ReadState !== 'undefined') {
+        ReadState.observeComments(added);
+      }
+    }
+
+    // Let go of detached comments
+    if (removed.length > 0) {
+      ActiveComment.unobserveComments(removed);
+      if (typeof ReadState !== 'undefined') {
+        ReadState.unobserveComments(removed);
+      }
+    }
+
+    const anchored = ActiveComment.getActive();
+    if (!anchored) return;
+
+    // The anchored comment left the page: follow a re-rendered copy, or detach
+    if (!document.contains(anchored)) {
+      const id = Selectors.getCommentId(anchored);
+      const replacement = id ? Selectors.getCommentById(id) : null;
+      ActiveComment.setActive(replacement);
+      return;
+    }
+
+    // Rebuild the rows if a rendered ancestor changed (score, edit, move)
+    // or got a new sibling (the rows show sibling positions)
+    const chain = Ancestors.computeAncestors(anchored);
+    const joinsChain = comment => {
+      const parent = Selectors.getParentThing(comment);
+      return !parent || chain.includes(parent);
+    };
+    if (changed.some(comment => chain.includes(comment)) || removed.length > 0 ||
+        added.some(joinsChain)) {
+      StickyUI.invalidate();
+    }
+    handleActiveCommentChange(anchored);
+    StickyUI.refreshUnreadCounts();
+  }
+
+  /**
+   * Search the thread and show the results in the header
+   * @param {Object} request - { query, regex, authorOnly }
+   */
+  function runSearch({ query, regex, authorOnly }) {
+    StickyUI.showSearchResults(Search.find(query, { regex, authorOnly }));
+  }
+
+  /**
+   * Follow an author through the thread, anchoring their next comment
+   * unless the anchored comment is already theirs
+   * @param {string} [author] - Username (defaults to the anchored comment's author)
+   * @returns {boolean} False if there is no author to follow
+   */
+  function followAuthor(author) {
+    const anchored = ActiveComment.getActive();
+    if (!author) {
+      const meta = anchored ? Selectors.getCommentMeta(anchored) : null;
+      if (!meta) {
+        StickyUI.showStatus('Anchor a comment first');
+        return false;
+      }
+      author = meta.author;
+    }
+
+    if (!AuthorFollow.start(author)) {
+      StickyUI.showStatus("Can't follow this author");
+      return false;
+    }
+
+    if (!AuthorFollow.isByAuthor(anchored)) {
+      const comment = AuthorFollow.next(anchored);
+      if (comment) revealComment(comment);
+    }
+    updateFollowState();
+    return true;
+  }
+
+  /**
+   * Follow the anchored comment's author, or stop if already following them
+   * @returns {boolean} False if there is no author to follow
+   */
+  function toggleFollowAnchoredAuthor() {
+    const anchored = ActiveComment.getActive();
+    if (AuthorFollow.isFollowing() && AuthorFollow.isByAuthor(anchored)) {
+      stopFollowing();
+      return true;
+    }
+    return followAuthor();
+  }
+
+  /**
+   * Anchor and reveal the followed author's next or previous comment
+   * @param {number} direction - 1 for next, -1 for previous
+   * @returns {boolean} False if the author has no comments on the page
+   */
+  function stepFollowedAuthor(direction) {
+    const current = ActiveComment.getActive();
+    const comment = direction < 0 ? AuthorFollow.prev(current) : AuthorFollow.next(current);
+    if (!comment) {
+      StickyUI.showStatus(`No comments by u/${AuthorFollow.getAuthor()}`);
+      return false;
+    }
+
+    revealComment(comment);
+    return true;
+  }
+
+  /**
+   * Leave follow-an-author mode
+   */
+  function stopFollowing() {
+    AuthorFollow.stop();
+    updateFollowState();
+  }
+
+  /**
+   * Show the followed author and the anchored comment's position among
+   * their comments in the header
+   */
+  function updateFollowState() {
+    if (!AuthorFollow.isFollowing()) {
+      StickyUI.setFollowState(null);
+      return;
+    }
+
+    const position = AuthorFollow.getPosition(ActiveComment.getActive());
+    StickyUI.setFollowState({ author: AuthorFollow.getAuthor(), ...position });
+  }
+
+  /**
+   * Bookmark or un-bookmark the anchored comment
+   * @returns {boolean} False if nothing is anchored
+   */
+  function toggleBookmark() {
+    const comment = ActiveComment.getActive();
+    if (!comment) return false;
+
+    const isBookmarked = Bookmarks.toggle(comment);
+    StickyUI.showStatus(isBookmarked ? 'Bookmarked' : 'Bookmark removed');
+    return true;
+  }
+
+  /**
+   * Remove a bookmark from the bookmark strip
+   * @param {string} id - Comment ID
+   */
+  function removeBookmark(id) {
+    Bookmarks.remove(id);
+  }
+
+  /**
+   * Anchor the next bookmarked comment
+   * @returns {boolean} False if there are no bookmarks on the page
+   */
+  function nextBookmark() {
+    const comment = Bookmarks.next(ActiveComment.getActive());
+    if (!comment) return false;
+
+    revealComment(comment);
+    return true;
+  }
+
+  /**
+   * Render the bookmark strip for the current anchor
+   */
+  function renderBookmarks() {
+    const bookmarks = Bookmarks.getAll();
+    StickyUI.setBookmarks(bookmarks, ActiveComment.getActive());
+    Minimap.setBookmarks(bookmarks.map(bookmark => bookmark.comment).filter(Boolean));
+  }
+
+  /**
+   * Run a non-navigation keyboard action
+   * @param {string} action - Action name from keyBindings
+   * @returns {boolean} False if the action did nothing
+   */
+  function handleAction(action) {
+    switch (action) {
+      case 'toggleBookmark':
+        return toggleBookmark();
+      case 'nextBookmark':
+        return nextBookmark();
+      case 'nextUnread':
+        return jumpToNextUnread();
+      case 'search':
+        StickyUI.openSearch();
+        return true;
+      case 'followAuthor':
+        return toggleFollowAnchoredAuthor();
+      case 'nextOpReply':
+        return jumpToOpReply(1);
+      case 'showConversation':
+        return showConversation();
+      case 'toggleOutline':
+        if (typeof Outline === 'undefined') return false;
+        Outline.toggle();
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Go back to the previous anchor and scroll to it
+   */
+  function handleHistoryBack() {
+    const comment = ActiveComment.back();
+    if (comment) StickyUI.scrollToComment(comment);
+  }
+
+  /**
+   * Go forward to the next anchor and scroll to it
+   */
+  function handleHistoryForward() {
+    const comment = ActiveComment.forward();
+    if (comment) StickyUI.scrollToComment(comment);
+  }
+
+  /**
+   * Copy a shareable link to the anchored comment to the clipboard
+   */
+  async function handleCopyLink() {
+    const comment = ActiveComment.getActive();
+    const link = comment ? ActiveComment.buildLink(comment) : null;
+    if (!link) return;
+
+    try {
+      await navigator.clipboard.writeText(link);
+      StickyUI.showStatus('Link copied');
+    } catch (error) {
+      console.error('[ThreadAnchor] Failed to copy link:', error);
+      StickyUI.showStatus('Copy failed');
+    }
   }
 
   /**
@@ -139,6 +808,8 @@ const ThreadAnchor = (() => {
     // Track current active comment for re-renders
     currentActiveComment = activeComment;
 
+    saveAnchorDebounced(activeComment);
+
     // Always get the OP (original post) metadata
     const opMeta = Selectors.getOriginalPost();
 
@@ -148,12 +819,121 @@ const ThreadAnchor = (() => {
       // Remove the last element (the active comment) from the chain
       const ancestorsOnly = fullChain.slice(0, -1);
 
+      // Ancestors not on this page: left behind by "continue this thread"
+      // navigation, or fetched from Reddit on permalink pages
+      let ghosts = typeof GhostChain !== 'undefined' ? GhostChain.getGhosts(activeComment) : [];
+      if (ghosts.length === 0) {
+        ghosts = getFetchedAncestors(fullChain[0], activeComment);
+      }
+
       // Always render with OP as level 0, followed by comment ancestors
       // Even if there are no comment ancestors, we show the OP
-      StickyUI.render(ancestorsOnly, settings.stickyDepth, settings.stickyCompact, activeComment, opMeta);
+      StickyUI.render(ancestorsOnly, settings.stickyDepth, settings.stickyCompact, activeComment, opMeta, ghosts);
+      StickyUI.setHistoryState({
+        canGoBack: ActiveComment.canGoBack(),
+        canGoForward: ActiveComment.canGoForward()
+      });
+      // Only the header's bookmark state depends on the anchor
+      StickyUI.setBookmarks(Bookmarks.getAll(), activeComment);
+      updateFollowState();
     } else {
       StickyUI.hide();
     }
+
+    Outline.setActive(activeComment);
+    Minimap.setActive(activeComment);
+  }
+
+  /**
+   * Get the fetched ancestors above a chain's top comment, starting a
+   * fetch (and re-rendering when it completes) if they aren't known yet
+   * @param {Element} top - Top comment of the DOM chain
+   * @param {Element} activeComment - The anchored comment
+   * @returns {Object[]} Entries known so far, top-level first
+   */
+  function getFetchedAncestors(top, activeComment) {
+    if (typeof AncestorResolver === 'undefined') return [];
+
+    const known = AncestorResolver.getAncestors(top);
+    if (known) return known;
+
+    if (AncestorResolver.needsResolve(top)) {
+      AncestorResolver.resolve(top).then(entries => {
+        if (entries.length > 0 && currentActiveComment === activeComment) {
+          handleActiveCommentChange(activeComment);
+        }
+      });
+    }
+    return [];
+  }
+
+  /**
+   * Initialize or destroy fetching of ancestors missing from permalink pages
+   */
+  function updateAncestorResolver() {
+    if (typeof AncestorResolver === 'undefined') return;
+
+    if (settings.stickyAncestorsEnabled && settings.fetchAncestorsEnabled) {
+      AncestorResolver.init({ postId: getPostId() });
+    } else {
+      AncestorResolver.destroy();
+    }
+  }
+
+  /**
+   * Save a setting to storage (storage.onChanged applies it)
+   * @param {string} key - Setting key
+   * @param {*} value - New value
+   */
+  async function saveSetting(key, value) {
+    try {
+      await chrome.storage.sync.set({ [key]: value });
+    } catch (error) {
+      console.error('[ThreadAnchor] Failed to save setting:', error);
+    }
+  }
+
+  /**
+   * Run a browser-level shortcut command
+   * @param {string} command - Command name from manifest.json
+   */
+  function handleCommand(command) {
+    switch (command) {
+      case 'toggle-sticky-ancestors':
+        saveSetting('stickyAncestorsEnabled', !settings.stickyAncestorsEnabled);
+        break;
+
+      case 'jump-to-parent':
+        if (settings.stickyAncestorsEnabled && typeof KeyboardNav !== 'undefined') {
+          KeyboardNav.navigate('parent');
+        }
+        break;
+
+      case 'clear-anchor':
+        if (settings.stickyAncestorsEnabled) {
+          ActiveComment.setActive(null);
+        }
+        break;
+
+      case 'cycle-theme': {
+        const index = THEME_ORDER.indexOf(settings.stickyTheme);
+        saveSetting('stickyTheme', THEME_ORDER[(index + 1) % THEME_ORDER.length]);
+        break;
+      }
+
+      default:
+        console.warn('[ThreadAnchor] Unknown command:', command);
+    }
+  }
+
+  /**
+   * Handle messages from the background service worker
+   * @param {Object} message - Message object
+   */
+  function handleMessage(message) {
+    if (message && message.type === 'command') {
+      handleCommand(message.command);
+    }
   }
 
   /**
@@ -164,16 +944,30 @@ const ThreadAnchor = (() => {
 
     console.log('[ThreadAnchor] Initializing...');
 
+    const generation = routeGeneration;
+
     // Load settings
     await loadSettings();
 
+    // The user navigated away while settings were loading
+    if (generation !== routeGeneration || isInitialized) return;
+
     // Listen for settings changes
     chrome.storage.onChanged.addListener(handleSettingsChange);
 
+    // Listen for shortcut commands from the service worker
+    chrome.runtime.onMessage.addListener(handleMessage);
+
     // Initialize modules based on settings
     updateStickyAncestors();
+    updateReadState();
+    updateNewComments();
 
     isInitialized = true;
+
+    // Pick up where the user left off in this thread
+    await restoreAnchor();
+
     console.log('[ThreadAnchor] Initialized with settings:', settings);
   }
 
@@ -187,8 +981,48 @@ const ThreadAnchor = (() => {
 
     // Remove settings listener
     chrome.storage.onChanged.removeListener(handleSettingsChange);
+    chrome.runtime.onMessage.removeListener(handleMessage);
 
     // Cleanup modules
+    if (typeof KeyboardNav !== 'undefined') {
+      KeyboardNav.destroy();
+    }
+    if (typeof AuthorFollow !== 'undefined') {
+      AuthorFollow.stop();
+    }
+    if (typeof OpReplies !== 'undefined') {
+      OpReplies.reset();
+    }
+    if (typeof Outline !== 'undefined') {
+      Outline.destroy();
+    }
+    if (typeof Conversation !== 'undefined') {
+      Conversation.destroy();
+    }
+    if (typeof Minimap !== 'undefined') {
+      Minimap.destroy();
+    }
+    if (typeof CommentObserver !== 'undefined') {
+      CommentObserver.destroy();
+    }
+    if (typeof MoreComments !== 'undefined') {
+      MoreComments.destroy();
+    }
+    if (typeof GhostChain !== 'undefined') {
+      GhostChain.destroy();
+    }
+    if (typeof AncestorResolver !== 'undefined') {
+      AncestorResolver.destroy();
+    }
+    if (typeof Bookmarks !== 'undefined') {
+      Bookmarks.destroy();
+    }
+    if (typeof ReadState !== 'undefined') {
+      ReadState.destroy();
+    }
+    if (typeof NewComments !== 'undefined') {
+      NewComments.destroy();
+    }
     if (typeof ActiveComment !== 'undefined') {
       ActiveComment.destroy();
     }
@@ -196,10 +1030,47 @@ const ThreadAnchor = (() => {
       StickyUI.destroy();
     }
 
+    saveAnchorDebounced.cancel();
+    refreshUnreadThrottled.cancel();
     currentActiveComment = null;
     isInitialized = false;
   }
 
+  /**
+   * Tear down for the old route and start again once the new thread has
+   * rendered (new Reddit navigates without reloading the page)
+   * @param {Object} route - { from, to } paths
+   */
+  async function handleRouteChange(route) {
+    routeGeneration++;
+    const generation = routeGeneration;
+
+    destroy();
+
+    // The old page's elements and detected Reddit version are stale
+    Selectors.clearCache();
+    Ancestors.clearCache();
+
+    if (!Navigation.isThreadPage(route.to)) return;
+
+    const ready = await Navigation.whenThreadReady();
+    if (!ready || generation !== routeGeneration) return;
+
+    await init();
+  }
+
+  /**
+   * Start Thread Anchor on this page and follow client-side navigation
+   */
+  function start() {
+    if (typeof Navigation !== 'undefined') {
+      Navigation.init({ onChange: handleRouteChange });
+      if (!Navigation.isThreadPage()) return;
+    }
+
+    init();
+  }
+
   /**
    * Get current settings (for debugging)
    * @returns {Object} Current settings
@@ -212,13 +1083,14 @@ const ThreadAnchor = (() => {
   return {
     init,
     destroy,
+    start,
     getSettings
   };
 })();
 
 // Auto-initialize when DOM is ready
 if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => ThreadAnchor.init());
+  document.addEventListener('DOMContentLoaded', () => ThreadAnchor.start());
 } else {
-  ThreadAnchor.init();
+  ThreadAnchor.start();
 }
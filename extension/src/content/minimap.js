@@ -0,0 +1,406 @@
+/**
+ * minimap.js - Overview track next to the page scrollbar
+ *
+ * A thin fixed strip along the right edge of the window, scaled to the
+ * whole page: a heat strip of comment scores, ticks for the submitter's
+ * comments and for bookmarks, and a band covering the anchored comment's
+ * subtree. Clicking the track anchors the comment at that spot.
+ *
+ * Comment positions are read in one pass per refresh (scores come from
+ * the Selectors meta cache) and refreshes are coalesced to one per frame.
+ * The track is colored with the sticky header's --ta-* theme variables,
+ * which only exist while StickyUI's stylesheet is injected.
+ */
+
+const Minimap = (() => {
+  // Number of segments in the score heat strip
+  const HEAT_BUCKETS = 100;
+
+  // Module state
+  let isActive = false;
+
+  // Track element and its layers
+  let track = null;
+  let heatElement = null;
+  let subtreeElement = null;
+  let marksElement = null;
+
+  // Callback for clicks on a comment's spot
+  let onSelectCallback = null;
+
+  // Anchored comment and bookmarked comments
+  let activeComment = null;
+  let bookmarkedComments = [];
+
+  // Visible comments with their page positions, in document order
+  // ({ comment, top, bottom })
+  let positions = [];
+
+  // Height of the page the positions were measured against
+  let pageHeight = 1;
+
+  // Watches the comments container for size changes (loads, collapses)
+  let resizeObserver = null;
+
+  // Pending refresh frame
+  let refreshPending = false;
+
+  // Track styles
+  const styles = Util.createStyleSheet('ta-minimap-styles', `
+    #ta-minimap {
+      position: fixed;
+      top: 0;
+      right: 0;
+      bottom: 0;
+      width: 10px;
+      z-index: 9998;
+      background: color-mix(in srgb, var(--ta-border) 8%, transparent);
+      cursor: pointer;
+    }
+
+    .ta-minimap-heat,
+    .ta-minimap-marks {
+      position: absolute;
+      inset: 0;
+      pointer-events: none;
+    }
+
+    .ta-minimap-subtree {
+      position: absolute;
+      left: 0;
+      right: 0;
+      min-height: 2px;
+      background: color-mix(in srgb, var(--ta-accent) 35%, transparent);
+      border-top: 2px solid var(--ta-accent);
+      border-bottom: 2px solid var(--ta-accent);
+      box-sizing: border-box;
+      pointer-events: none;
+    }
+
+    .ta-minimap-mark {
+      position: absolute;
+      height: 2px;
+      pointer-events: none;
+    }
+
+    .ta-minimap-op {
+      left: 0;
+      width: 5px;
+      background: var(--ta-author-op);
+    }
+
+    .ta-minimap-bookmark {
+      right: 0;
+      width: 5px;
+      background: var(--ta-accent-hover);
+    }
+  `);
+
+  /**
+   * Parse a displayed score ("12 points", "1.2k", "Vote") into a number
+   * @param {string} score - Score text
+   * @returns {number|null}
+   */
+  function parseScore(score) {
+    const match = (score || '').replace(/,/g, '').match(/(-?\d+(?:\.\d+)?)\s*(k)?/i);
+    if (!match) return null;
+    return parseFloat(match[1]) * (match[2] ? 1000 : 1);
+  }
+
+  /**
+   * Convert a page position into a percentage of the track
+   * @param {number} y - Position in page coordinates
+   * @returns {string} CSS percentage
+   */
+  function toPercent(y) {
+    return `${Math.max(0, Math.min(100, (y / pageHeight) * 100)).toFixed(3)}%`;
+  }
+
+  /**
+   * Measure the visible comments (collapsed replies are skipped)
+   */
+  function measure() {
+    pageHeight = Math.max(1, document.documentElement.scrollHeight);
+    const scrollY = window.scrollY;
+
+    positions = [];
+    Selectors.getAllCommentThings().forEach(comment => {
+      const rect = comment.getBoundingClientRect();
+      if (rect.height === 0) return;
+
+      positions.push({ comment, top: rect.top + scrollY, bottom: rect.bottom + scrollY });
+    });
+  }
+
+  /**
+   * Build the score heat strip as a single gradient
+   */
+  function renderHeat() {
+    const buckets = new Array(HEAT_BUCKETS).fill(0);
+    let max = 0;
+
+    positions.forEach(({ comment, top }) => {
+      const meta = Selectors.getCommentMeta(comment);
+      const score = meta ? parseScore(meta.score) : null;
+      if (score === null || score <= 0) return;
+
+      const index = Math.min(HEAT_BUCKETS - 1, Math.floor((top / pageHeight) * HEAT_BUCKETS));
+      buckets[index] = Math.max(buckets[index], score);
+      max = Math.max(max, score);
+    });
+
+    if (max === 0) {
+      heatElement.style.background = 'none';
+      return;
+    }
+
+    // Log scale, so one viral comment doesn't flatten the rest
+    const stops = buckets.map((score, i) => {
+      const alpha = score > 0 ? (Math.log(score + 1) / Math.log(max + 1)).toFixed(2) : 0;
+      const from = (i / HEAT_BUCKETS) * 100;
+      const to = ((i + 1) / HEAT_BUCKETS) * 100;
+      return `rgba(255, 140, 0, ${alpha}) ${from}% ${to}%`;
+    });
+    heatElement.style.background = `linear-gradient(to bottom, ${stops.join(', ')})`;
+  }
+
+  /**
+   * Create a tick mark on the track
+   * @param {string} className - Mark class
+   * @param {number} y - Position in page coordinates
+   * @param {string} title - Tooltip
+   * @returns {Element}
+   */
+  function createMark(className, y, title) {
+    const mark = document.createElement('div');
+    mark.className = `ta-minimap-mark ${className}`;
+    mark.style.top = toPercent(y);
+    mark.title = title;
+    return mark;
+  }
+
+  /**
+   * Place the submitter and bookmark ticks
+   */
+  function renderMarks() {
+    const fragment = document.createDocumentFragment();
+    const submitter = OpReplies.getSubmitter() || 'submitter';
+    const opComments = new Set(OpReplies.getComments());
+
+    positions.forEach(({ comment, top }) => {
+      if (opComments.has(comment)) {
+        fragment.appendChild(createMark('ta-minimap-op', top, `u/${submitter} (OP)`));
+      }
+    });
+
+    bookmarkedComments.forEach(comment => {
+      const position = positions.find(p => p.comment === comment);
+      if (position) {
+        fragment.appendChild(createMark('ta-minimap-bookmark', position.top, 'Bookmark'));
+      }
+    });
+
+    marksElement.replaceChildren(fragment);
+  }
+
+  /**
+   * Place the band covering the anchored comment's subtree
+   */
+  function renderSubtree() {
+    const position = activeComment ? positions.find(p => p.comment === activeComment) : null;
+    if (!position) {
+      subtreeElement.style.display = 'none';
+      return;
+    }
+
+    subtreeElement.style.display = '';
+    subtreeElement.style.top = toPercent(position.top);
+    subtreeElement.style.height = toPercent(position.bottom - position.top);
+  }
+
+  /**
+   * Re-measure and redraw everything
+   */
+  function render() {
+    refreshPending = false;
+    if (!isActive || !track) return;
+
+    const end = Util.perfStart('minimap.render');
+    measure();
+    renderHeat();
+    renderMarks();
+    renderSubtree();
+    end();
+  }
+
+  /**
+   * Schedule a redraw (at most one per frame)
+   */
+  function refresh() {
+    if (!isActive || refreshPending) return;
+
+    refreshPending = true;
+    Util.raf(render);
+  }
+
+  /**
+   * Find the innermost visible comment at a page position
+   * @param {number} y - Position in page coordinates
+   * @returns {Element|null}
+   */
+  function findCommentAt(y) {
+    // Last comment starting above y; walk back out of replies that ended
+    let low = 0;
+    let high = positions.length - 1;
+    let index = -1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (positions[mid].top <= y) {
+        index = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    for (let i = index; i >= 0; i--) {
+      if (positions[i].bottom > y) return positions[i].comment;
+    }
+    return null;
+  }
+
+  /**
+   * Jump to the clicked spot, anchoring the comment there
+   * @param {MouseEvent} e - Click event
+   */
+  function handleClick(e) {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const rect = track.getBoundingClientRect();
+    if (rect.height === 0) return;
+
+    const y = ((e.clientY - rect.top) / rect.height) * pageHeight;
+    const comment = findCommentAt(y);
+
+    if (comment && onSelectCallback) {
+      try {
+        onSelectCallback(comment);
+      } catch (error) {
+        console.error('[Minimap] Select callback error:', error);
+      }
+    } else {
+      window.scrollTo({ top: Math.max(0, y - window.innerHeight / 2), behavior: 'smooth' });
+    }
+  }
+
+  /**
+   * Create the track element
+   */
+  function createTrack() {
+    track = document.createElement('div');
+    track.id = 'ta-minimap';
+    track.title = 'Click to jump to a comment';
+
+    heatElement = document.createElement('div');
+    heatElement.className = 'ta-minimap-heat';
+    track.appendChild(heatElement);
+
+    subtreeElement = document.createElement('div');
+    subtreeElement.className = 'ta-minimap-subtree';
+    track.appendChild(subtreeElement);
+
+    marksElement = document.createElement('div');
+    marksElement.className = 'ta-minimap-marks';
+    track.appendChild(marksElement);
+
+    track.addEventListener('click', handleClick);
+    document.body.appendChild(track);
+  }
+
+  /**
+   * Set the anchored comment whose subtree is marked
+   * @param {Element|null} comment - The anchored comment
+   */
+  function setActive(comment) {
+    activeComment = comment;
+    if (isActive && track) renderSubtree();
+  }
+
+  /**
+   * Set the bookmarked comments to mark
+   * @param {Element[]} comments - Bookmarked comments on the page
+   */
+  function setBookmarks(comments) {
+    const unchanged = comments.length === bookmarkedComments.length &&
+      comments.every((comment, i) => comment === bookmarkedComments[i]);
+    if (unchanged) return;
+
+    bookmarkedComments = comments.slice();
+    refresh();
+  }
+
+  /**
+   * Initialize the minimap
+   * @param {Object} options - Configuration options
+   * @param {Function} options.onSelect - Called with the comment at a clicked spot
+   */
+  function init(options = {}) {
+    if (isActive) return;
+
+    onSelectCallback = options.onSelect || null;
+    isActive = true;
+    styles.inject();
+    createTrack();
+
+    // Loaded batches and collapses change the container's size
+    const container = Selectors.getCommentsContainer();
+    if (container && typeof ResizeObserver !== 'undefined') {
+      resizeObserver = new ResizeObserver(refresh);
+      resizeObserver.observe(container);
+    }
+    window.addEventListener('resize', refresh);
+
+    refresh();
+    console.log('[Minimap] Initialized');
+  }
+
+  /**
+   * Destroy the minimap and remove the track
+   */
+  function destroy() {
+    if (!isActive) return;
+
+    if (resizeObserver) {
+      resizeObserver.disconnect();
+      resizeObserver = null;
+    }
+    window.removeEventListener('resize', refresh);
+
+    if (track && track.parentNode) {
+      track.parentNode.removeChild(track);
+    }
+    track = null;
+    heatElement = null;
+    subtreeElement = null;
+    marksElement = null;
+    styles.remove();
+    positions = [];
+    activeComment = null;
+    bookmarkedComments = [];
+    onSelectCallback = null;
+    refreshPending = false;
+    isActive = false;
+
+    console.log('[Minimap] Destroyed');
+  }
+
+  // Public API
+  return {
+    init,
+    destroy,
+    refresh,
+    setActive,
+    setBookmarks
+  };
+})();
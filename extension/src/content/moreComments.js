@@ -0,0 +1,221 @@
+/**
+ * moreComments.js - Load "more comments" inside a subtree on demand
+ *
+ * Clicks Reddit's own "load more comments" controls under a comment one
+ * after another, waiting for each batch to arrive before the next click.
+ * Works with old Reddit .morecomments links and new Reddit
+ * faceplate-partial loaders. "Continue this thread" links, which
+ * navigate away, are skipped.
+ */
+
+const MoreComments = (() => {
+  // Longest wait for a batch of comments to arrive (ms)
+  const BATCH_TIMEOUT = 10000;
+
+  // Pause between batches so Reddit isn't hammered (ms)
+  const BATCH_DELAY = 300;
+
+  // Module state
+  let loading = false;
+
+  // Set when the current run should stop
+  let cancelled = false;
+
+  // Resolves the batch currently being waited for (used to cancel)
+  let stopWaiting = null;
+
+  // Loaders that were clicked but never went away (not clicked again)
+  let failedLoaders = new WeakSet();
+
+  /**
+   * Check if a loader opens a new page instead of loading in place
+   * @param {Element} el - Loader element
+   * @returns {boolean}
+   */
+  function isNavigatingLoader(el) {
+    return el.closest('.morerecursion, [slot="more-comments-permalink"]') !== null;
+  }
+
+  /**
+   * Find the loaders still pending under a comment
+   * @param {Element} root - Comment element
+   * @returns {Element[]} Loader elements in document order
+   */
+  function findLoaders(root) {
+    return Selectors.getAllMoreComments().filter(el =>
+      root.contains(el) &&
+      !isNavigatingLoader(el) &&
+      !failedLoaders.has(el));
+  }
+
+  /**
+   * Find the comment a loader loads replies for
+   * @param {Element} el - Loader element
+   * @returns {Element|null}
+   */
+  function findParentComment(el) {
+    let current = el.parentElement;
+    while (current && current !== document.body) {
+      if (Selectors.isCommentThing(current)) return current;
+      current = current.parentElement;
+    }
+    return null;
+  }
+
+  /**
+   * Wait for a clicked loader to be replaced by the comments it loads
+   * @param {Element} root - Comment element containing the loader
+   * @param {Element} loader - The clicked loader
+   * @returns {Promise<boolean>} False on timeout or cancel
+   */
+  function waitForBatch(root, loader) {
+    return new Promise(resolve => {
+      let observer = null;
+      let timeout = null;
+
+      const finish = (arrived) => {
+        observer.disconnect();
+        clearTimeout(timeout);
+        stopWaiting = null;
+        resolve(arrived);
+      };
+
+      observer = new MutationObserver(() => {
+        if (!document.contains(loader)) finish(true);
+      });
+      observer.observe(root, { childList: true, subtree: true });
+
+      timeout = setTimeout(() => finish(false), BATCH_TIMEOUT);
+      stopWaiting = () => finish(false);
+    });
+  }
+
+  /**
+   * Wait between batches
+   * @param {number} ms - Delay in milliseconds
+   * @returns {Promise<void>}
+   */
+  function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Load every "more comments" batch under a comment, until none are
+   * left, the limit is hit or the run is cancelled
+   * @param {Element} root - Comment element whose subtree to complete
+   * @param {Object} options - Options
+   * @param {number} options.limit - Maximum number of batches to load
+   * @param {Function} options.onProgress - Called after each batch with
+   *   { batches, comments, remaining }
+   * @returns {Promise<Object>} { batches, comments, remaining, cancelled, timedOut }
+   */
+  async function loadSubtree(root, options = {}) {
+    const { limit = 10, onProgress = null } = options;
+    const result = { batches: 0, comments: 0, remaining: 0, cancelled: false, timedOut: false };
+
+    if (loading || !root || !Selectors.isCommentThing(root)) return result;
+
+    loading = true;
+    cancelled = false;
+
+    try {
+      let loaders = findLoaders(root);
+
+      while (loaders.length > 0 && result.batches < limit && !cancelled) {
+        const loader = loaders[0];
+        const link = Selectors.getMoreCommentsLink(loader);
+        if (!link) {
+          failedLoaders.add(loader);
+          loaders = findLoaders(root);
+          continue;
+        }
+
+        const parent = findParentComment(loader);
+        const before = new Set(Selectors.getDescendantThings(root));
+
+        link.click();
+        const arrived = await waitForBatch(root, loader);
+
+        if (cancelled) break;
+        if (!arrived) {
+          failedLoaders.add(loader);
+          result.timedOut = true;
+          break;
+        }
+
+        // Replies of the loader's comment changed
+        if (parent) Ancestors.invalidate(parent);
+
+        const added = Selectors.getDescendantThings(root).filter(c => !before.has(c));
+        result.batches++;
+        result.comments += added.length;
+
+        loaders = findLoaders(root);
+        result.remaining = loaders.length;
+
+        if (onProgress) {
+          try {
+            onProgress({ ...result });
+          } catch (error) {
+            console.error('[MoreComments] Progress callback error:', error);
+          }
+        }
+
+        if (loaders.length > 0) await delay(BATCH_DELAY);
+      }
+
+      result.remaining = findLoaders(root).length;
+      result.cancelled = cancelled;
+    } finally {
+      loading = false;
+      cancelled = false;
+    }
+
+    console.log('[MoreComments] Loaded', result.comments, 'comments in', result.batches, 'batches');
+    return result;
+  }
+
+  /**
+   * Cancel the current run (the batch in flight may still arrive)
+   */
+  function cancel() {
+    if (!loading) return;
+
+    cancelled = true;
+    if (stopWaiting) stopWaiting();
+  }
+
+  /**
+   * Check if a run is in progress
+   * @returns {boolean}
+   */
+  function isLoading() {
+    return loading;
+  }
+
+  /**
+   * Count the pending loaders under a comment
+   * @param {Element} root - Comment element
+   * @returns {number}
+   */
+  function countPending(root) {
+    return root ? findLoaders(root).length : 0;
+  }
+
+  /**
+   * Cancel any run and forget failed loaders
+   */
+  function destroy() {
+    cancel();
+    failedLoaders = new WeakSet();
+  }
+
+  // Public API
+  return {
+    loadSubtree,
+    cancel,
+    isLoading,
+    countPending,
+    destroy
+  };
+})();
@@ -0,0 +1,172 @@
+/**
+ * navigation.js - Detect client-side navigation on new Reddit
+ *
+ * New Reddit swaps pages without reloading, so the content scripts
+ * outlive the thread they were started on. Route changes are picked up
+ * from popstate and from the "ta:locationchange" event fired by
+ * historyHook.js, and reported once per path change.
+ */
+
+const Navigation = (() => {
+  // Event dispatched by historyHook.js after pushState/replaceState
+  const LOCATION_EVENT = 'ta:locationchange';
+
+  // Delay for coalescing bursts of history updates (ms)
+  const ROUTE_DELAY = 50;
+
+  // Longest wait for a new thread to render (ms)
+  const READY_TIMEOUT = 10000;
+
+  // Module state
+  let isActive = false;
+
+  // Callback for route changes
+  let onChangeCallback = null;
+
+  // Path of the current route
+  let currentPath = '';
+
+  // Cancels the pending whenThreadReady wait, if any
+  let stopWaiting = null;
+
+  // Debounced route check
+  const checkRouteDebounced = Util.debounce(checkRoute, ROUTE_DELAY);
+
+  /**
+   * Get the post ID (t3_...) from a comments page path
+   * @param {string} [path] - URL path (defaults to the current one)
+   * @returns {string|null} Post ID, or null if not a comments page
+   */
+  function getThreadPostId(path = window.location.pathname) {
+    const match = path.match(/\/comments\/([a-z0-9]+)/i);
+    return match ? 't3_' + match[1].toLowerCase() : null;
+  }
+
+  /**
+   * Check if a path is a comment thread
+   * @param {string} [path] - URL path (defaults to the current one)
+   * @returns {boolean}
+   */
+  function isThreadPage(path) {
+    return getThreadPostId(path) !== null;
+  }
+
+  /**
+   * Report the route if its path changed
+   */
+  function checkRoute() {
+    if (!isActive) return;
+
+    const path = window.location.pathname;
+    if (path === currentPath) return;
+
+    const from = currentPath;
+    currentPath = path;
+    console.log('[Navigation] Route changed:', from, '->', path);
+
+    if (onChangeCallback) {
+      try {
+        onChangeCallback({ from, to: path });
+      } catch (error) {
+        console.error('[Navigation] Callback error:', error);
+      }
+    }
+  }
+
+  /**
+   * Check if the page shows the thread for the current path
+   * @returns {boolean}
+   */
+  function isThreadRendered() {
+    const postId = getThreadPostId();
+    const op = Selectors.getOriginalPost();
+    return !!postId && !!op && (op.postId || '').toLowerCase() === postId &&
+      !!Selectors.getCommentsContainer();
+  }
+
+  /**
+   * Wait until the current path's thread has rendered. Until then the
+   * previous page's DOM may still be on screen.
+   * @returns {Promise<boolean>} False on timeout, cancel or route change
+   */
+  function whenThreadReady() {
+    if (stopWaiting) stopWaiting();
+
+    const path = window.location.pathname;
+
+    return new Promise(resolve => {
+      let observer = null;
+      let timeout = null;
+
+      const finish = (ready) => {
+        observer.disconnect();
+        clearTimeout(timeout);
+        checkDebounced.cancel();
+        stopWaiting = null;
+        resolve(ready);
+      };
+
+      const check = () => {
+        if (window.location.pathname !== path) {
+          finish(false);
+        } else if (isThreadRendered()) {
+          finish(true);
+        }
+      };
+      const checkDebounced = Util.debounce(check, ROUTE_DELAY);
+
+      observer = new MutationObserver(checkDebounced);
+      observer.observe(document.body, { childList: true, subtree: true });
+
+      timeout = setTimeout(() => finish(false), READY_TIMEOUT);
+      stopWaiting = () => finish(false);
+
+      check();
+    });
+  }
+
+  /**
+   * Start watching for route changes
+   * @param {Object} options - Configuration options
+   * @param {Function} options.onChange - Called with { from, to } paths
+   */
+  function init(options = {}) {
+    if (isActive) return;
+
+    onChangeCallback = options.onChange || null;
+    currentPath = window.location.pathname;
+    isActive = true;
+
+    window.addEventListener('popstate', checkRouteDebounced);
+    window.addEventListener(LOCATION_EVENT, checkRouteDebounced);
+
+    console.log('[Navigation] Initialized');
+  }
+
+  /**
+   * Stop watching for route changes
+   */
+  function destroy() {
+    if (!isActive) return;
+
+    window.removeEventListener('popstate', checkRouteDebounced);
+    window.removeEventListener(LOCATION_EVENT, checkRouteDebounced);
+    checkRouteDebounced.cancel();
+    if (stopWaiting) stopWaiting();
+
+    onChangeCallback = null;
+    currentPath = '';
+    isActive = false;
+
+    console.log('[Navigation] Destroyed');
+  }
+
+  // Public API
+  return {
+    init,
+    destroy,
+    isThreadPage,
+    getThreadPostId,
+    whenThreadReady
+  };
+})();
@@ -0,0 +1,200 @@
+/**
+ * newComments.js - Highlight comments that are new since the last visit
+ *
+ * When a thread is left, the IDs of all comments on the page are saved
+ * per post via ThreadStore. On the next visit, comments not in that set
+ * are marked as new and can be stepped through from the sticky header.
+ */
+
+const NewComments = (() => {
+  // Maximum number of seen IDs stored per thread (oldest dropped first)
+  const MAX_SEEN_IDS = 5000;
+
+  // Module state
+  let isActive = false;
+
+  // Post ID the seen set belongs to
+  let postId = null;
+
+  // Set once the stored seen set was loaded; saving before that would
+  // overwrite it with just this page's comments
+  let loaded = false;
+
+  // IDs seen on previous visits, oldest first
+  let seenIds = new Set();
+
+  // Comments new since the last visit, in document order
+  let newComments = [];
+
+  // Style element for the new comment highlight
+  let styleElement = null;
+
+  /**
+   * Inject the CSS for the new comment highlight
+   */
+  function injectStyles() {
+    if (styleElement) return;
+
+    styleElement = document.createElement('style');
+    styleElement.id = 'ta-new-styles';
+    styleElement.textContent = `
+    .thing.comment.ta-new-comment > .entry,
+    shreddit-comment.ta-new-comment > [slot="comment"] {
+      background-color: rgba(255, 217, 61, 0.15);
+    }
+    `;
+    document.head.appendChild(styleElement);
+  }
+
+  /**
+   * Remove the new comment CSS and markers
+   */
+  function removeHighlights() {
+    newComments.forEach(comment => comment.classList.remove('ta-new-comment'));
+
+    if (styleElement && styleElement.parentNode) {
+      styleElement.parentNode.removeChild(styleElement);
+    }
+    styleElement = null;
+  }
+
+  /**
+   * Save the IDs of every comment on the page as seen
+   */
+  function saveSeen() {
+    if (!postId || !loaded) return;
+
+    Selectors.getAllCommentThings().forEach(comment => {
+      const id = Selectors.getCommentId(comment);
+      if (id) seenIds.add(id);
+    });
+
+    // Drop the oldest IDs beyond the cap
+    const ids = Array.from(seenIds).slice(-MAX_SEEN_IDS);
+    seenIds = new Set(ids);
+
+    ThreadStore.update(postId, { seen: ThreadStore.packIds(ids) });
+  }
+
+  /**
+   * Save the seen set when the user leaves the page
+   */
+  function handleVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+      saveSeen();
+    }
+  }
+
+  /**
+   * Get the number of new comments
+   * @returns {number}
+   */
+  function getCount() {
+    return newComments.length;
+  }
+
+  /**
+   * Check if a comment is new since the last visit
+   * @param {Element} comment - Comment element
+   * @returns {boolean}
+   */
+  function isNew(comment) {
+    return newComments.includes(comment);
+  }
+
+  /**
+   * Get the new comments still in the page
+   * @returns {Element[]}
+   */
+  function getAvailable() {
+    return newComments.filter(comment => document.contains(comment));
+  }
+
+  /**
+   * Get the new comment after a comment in document order (wrapping around)
+   * @param {Element|null} current - The anchored comment
+   * @returns {Element|null}
+   */
+  function next(current) {
+    return Util.nextInDocument(getAvailable(), current);
+  }
+
+  /**
+   * Get the new comment before a comment in document order (wrapping around)
+   * @param {Element|null} current - The anchored comment
+   * @returns {Element|null}
+   */
+  function prev(current) {
+    return Util.prevInDocument(getAvailable(), current);
+  }
+
+  /**
+   * Initialize new comment tracking for a thread
+   * @param {Object} options - Configuration options
+   * @param {string} options.postId - Post ID of the thread
+   * @returns {Promise<void>}
+   */
+  async function init(options = {}) {
+    if (isActive) return;
+
+    postId = options.postId || null;
+    isActive = true;
+    if (!postId) return;
+
+    const record = await ThreadStore.get(postId);
+    // Bail if destroyed while loading
+    if (!isActive) return;
+
+    seenIds = new Set(ThreadStore.unpackIds(record.seen));
+    loaded = true;
+
+    // Nothing is "new" on the first visit
+    if (seenIds.size > 0) {
+      newComments = Selectors.getAllCommentThings().filter(comment => {
+        const id = Selectors.getCommentId(comment);
+        return id && !seenIds.has(id);
+      });
+
+      if (newComments.length > 0) {
+        injectStyles();
+        newComments.forEach(comment => comment.classList.add('ta-new-comment'));
+      }
+    }
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', saveSeen);
+
+    console.log('[NewComments] Initialized with', newComments.length, 'new comments');
+  }
+
+  /**
+   * Destroy new comment tracking (records the current comments as seen)
+   */
+  function destroy() {
+    if (!isActive) return;
+
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    window.removeEventListener('pagehide', saveSeen);
+
+    saveSeen();
+    removeHighlights();
+
+    postId = null;
+    loaded = false;
+    seenIds = new Set();
+    newComments = [];
+    isActive = false;
+
+    console.log('[NewComments] Destroyed');
+  }
+
+  // Public API
+  return {
+    init,
+    destroy,
+    getCount,
+    isNew,
+    next,
+    prev
+  };
+})();
@@ -0,0 +1,131 @@
+/**
+ * opReplies.js - Find the submitter's (OP's) comments in the thread
+ *
+ * Comments are matched against the post author from
+ * Selectors.getOriginalPost(), so this works on new Reddit too, where
+ * there is no .submitter class (old Reddit's class is used as a
+ * fallback). Also answers which comments have an OP reply somewhere
+ * below them, for the "OP replied below" badge.
+ */
+
+const OpReplies = (() => {
+  // Post author (undefined until looked up, null if unknown)
+  let submitter;
+
+  // The submitter's comments in document order (null until computed)
+  let opComments = null;
+
+  // Comments with an OP reply somewhere below them (null until computed)
+  let ancestorsOfReplies = null;
+
+  /**
+   * Get the post author's username
+   * @returns {string|null}
+   */
+  function getSubmitter() {
+    if (submitter === undefined) {
+      const op = Selectors.getOriginalPost();
+      const author = op && op.author ? op.author : '';
+      submitter = author && author !== '[deleted]' ? author : null;
+    }
+    return submitter;
+  }
+
+  /**
+   * Check if a comment was written by the submitter
+   * @param {Element} comment - Comment element
+   * @returns {boolean}
+   */
+  function isSubmitterComment(comment) {
+    if (!Selectors.isCommentThing(comment)) return false;
+
+    const name = getSubmitter();
+    const meta = Selectors.getCommentMeta(comment);
+    if (name && meta && Util.normalizeUsername(meta.author) === Util.normalizeUsername(name)) return true;
+
+    // Old Reddit marks OP's author links
+    const entry = Selectors.getCommentEntry(comment);
+    return !!entry && entry !== comment && !!entry.querySelector('.author.submitter');
+  }
+
+  /**
+   * Get the submitter's comments on the page
+   * @returns {Element[]} Comments in document order
+   */
+  function getComments() {
+    if (!opComments) {
+      opComments = Selectors.getAllCommentThings().filter(isSubmitterComment);
+    }
+    return opComments.filter(comment => document.contains(comment));
+  }
+
+  /**
+   * Count the submitter's comments on the page
+   * @returns {number}
+   */
+  function getCount() {
+    return getComments().length;
+  }
+
+  /**
+   * Check if a comment has a reply by the submitter somewhere below it
+   * @param {Element} comment - Comment element
+   * @returns {boolean}
+   */
+  function hasReplyBelow(comment) {
+    if (!ancestorsOfReplies) {
+      ancestorsOfReplies = new Set();
+      getComments().forEach(reply => {
+        Ancestors.computeAncestors(reply).slice(0, -1).forEach(el => ancestorsOfReplies.add(el));
+      });
+    }
+    return ancestorsOfReplies.has(comment);
+  }
+
+  /**
+   * Get the submitter's comment after a comment in document order (wrapping around)
+   * @param {Element|null} current - The anchored comment
+   * @returns {Element|null}
+   */
+  function next(current) {
+    return Util.nextInDocument(getComments(), current);
+  }
+
+  /**
+   * Get the submitter's comment before a comment in document order (wrapping around)
+   * @param {Element|null} current - The anchored comment
+   * @returns {Element|null}
+   */
+  function prev(current) {
+    return Util.prevInDocument(getComments(), current);
+  }
+
+  /**
+   * Drop the computed comment lists (call when comments were added or removed)
+   */
+  function invalidate() {
+    opComments = null;
+    ancestorsOfReplies = null;
+  }
+
+  /**
+   * Forget everything, including the submitter (call when leaving the thread)
+   */
+  function reset() {
+    invalidate();
+    submitter = undefined;
+  }
+
+  // Public API
+  return {
+    getSubmitter,
+    isSubmitterComment,
+    getComments,
+    getCount,
+    hasReplyBelow,
+    next,
+    prev,
+    invalidate,
+    reset
+  };
+})();
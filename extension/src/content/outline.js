@@ -0,0 +1,589 @@
+/**
+ * outline.js - Table-of-contents panel for the whole thread
+ *
+ * Builds a tree of every comment on the page (author, score and number
+ * of replies below it) and shows it in a side panel. Only expanded
+ * branches are rendered, and long reply lists are rendered in chunks,
+ * so threads with thousands of comments stay fast. The anchored
+ * comment's chain is expanded and highlighted.
+ *
+ * The panel's stylesheet takes its colors from the --ta-* variables that
+ * StickyUI's stylesheet defines, so it needs the sticky header's styles
+ * on the page.
+ */
+
+const Outline = (() => {
+  // Nodes rendered per chunk of a reply list
+  const CHUNK_SIZE = 100;
+
+  // Delay for coalescing rebuilds while comments load (ms)
+  const REFRESH_DELAY = 300;
+
+  // Module state
+  let isActive = false;
+
+  // Panel element and the element holding the tree
+  let panel = null;
+  let treeElement = null;
+
+  // Callback for node clicks
+  let onSelectCallback = null;
+
+  // Tree model (comment -> { comment, children, descendants }) and top-level nodes
+  let nodes = new Map();
+  let roots = [];
+
+  // Set when the page changed while the panel was hidden
+  let isStale = true;
+
+  // Rendered node elements (comment -> element, element -> node)
+  let nodeElements = new WeakMap();
+  let elementNodes = new WeakMap();
+
+  // IDs of expanded comments (kept across rebuilds)
+  const expandedIds = new Set();
+
+  // Anchored comment whose chain is highlighted
+  let activeComment = null;
+
+  // Debounced rebuild
+  const refreshDebounced = Util.debounce(rebuild, REFRESH_DELAY);
+
+  // Panel styles
+  const styles = Util.createStyleSheet('ta-outline-styles', `
+    #ta-outline-panel {
+      position: fixed;
+      top: 0;
+      right: 0;
+      bottom: 0;
+      width: 320px;
+      z-index: 10000;
+      background: var(--ta-bg-gradient);
+      border-left: 2px solid var(--ta-border);
+      box-shadow: -4px 0 12px rgba(0, 0, 0, 0.3);
+      font-family: verdana, arial, helvetica, sans-serif;
+      font-size: 12px;
+      color: var(--ta-text);
+      display: none;
+      flex-direction: column;
+    }
+
+    #ta-outline-panel.visible {
+      display: flex;
+    }
+
+    .ta-outline-header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      padding: 8px 12px;
+      border-bottom: 1px solid var(--ta-row-border);
+      font-weight: bold;
+    }
+
+    .ta-outline-close {
+      background: none;
+      border: none;
+      color: var(--ta-text-faint);
+      font-family: inherit;
+      cursor: pointer;
+    }
+
+    .ta-outline-close:hover {
+      color: var(--ta-accent-hover);
+    }
+
+    .ta-outline-tree {
+      flex: 1;
+      overflow-y: auto;
+      padding: 4px 0;
+    }
+
+    .ta-outline-label {
+      display: flex;
+      align-items: baseline;
+      gap: 6px;
+      padding: 2px 8px;
+      cursor: pointer;
+      white-space: nowrap;
+    }
+
+    .ta-outline-label:hover {
+      background: var(--ta-row-hover);
+    }
+
+    .ta-outline-toggle {
+      width: 10px;
+      flex-shrink: 0;
+      color: var(--ta-accent);
+    }
+
+    .ta-outline-author {
+      color: var(--ta-author);
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+
+    .ta-outline-score,
+    .ta-outline-count {
+      color: var(--ta-text-faint);
+      font-size: 11px;
+    }
+
+    .ta-outline-children {
+      margin-left: 12px;
+      border-left: 1px solid var(--ta-row-border);
+    }
+
+    .ta-outline-chain > .ta-outline-label {
+      border-left: 2px solid var(--ta-accent);
+    }
+
+    .ta-outline-current > .ta-outline-label {
+      background: var(--ta-row-hover);
+      border-left: 2px solid var(--ta-accent);
+      font-weight: bold;
+    }
+
+    .ta-outline-more {
+      background: none;
+      border: none;
+      color: var(--ta-accent);
+      font-family: inherit;
+      font-size: 11px;
+      padding: 2px 8px 2px 24px;
+      cursor: pointer;
+    }
+
+    .ta-outline-more:hover {
+      color: var(--ta-accent-hover);
+    }
+
+    .ta-outline-empty {
+      padding: 8px 12px;
+      color: var(--ta-text-muted);
+    }
+  `);
+
+  /**
+   * Build the tree model from the comments on the page
+   */
+  function buildModel() {
+    const end = Util.perfStart('outline.build');
+
+    const comments = Selectors.getAllCommentThings();
+    nodes = new Map();
+    roots = [];
+
+    comments.forEach(comment => {
+      nodes.set(comment, { comment, children: [], descendants: 0 });
+    });
+
+    const parents = comments.map(comment => {
+      const parentNode = nodes.get(Selectors.getParentThing(comment)) || null;
+      if (parentNode) {
+        parentNode.children.push(nodes.get(comment));
+      } else {
+        roots.push(nodes.get(comment));
+      }
+      return parentNode;
+    });
+
+    // Replies come after their parent in document order
+    for (let i = comments.length - 1; i >= 0; i--) {
+      if (parents[i]) {
+        parents[i].descendants += nodes.get(comments[i]).descendants + 1;
+      }
+    }
+
+    isStale = false;
+    end();
+  }
+
+  /**
+   * Create the element for a node (children are rendered on expand)
+   * @param {Object} node - Tree node
+   * @returns {Element}
+   */
+  function createNodeElement(node) {
+    const meta = Selectors.getCommentMeta(node.comment) || {};
+
+    const el = document.createElement('div');
+    el.className = 'ta-outline-node';
+
+    const label = document.createElement('div');
+    label.className = 'ta-outline-label';
+
+    const toggle = document.createElement('span');
+    toggle.className = 'ta-outline-toggle';
+    toggle.textContent = node.children.length > 0 ? '▸' : '';
+    label.appendChild(toggle);
+
+    const author = document.createElement('span');
+    author.className = 'ta-outline-author';
+    author.textContent = meta.author || '[unknown]';
+    label.appendChild(author);
+
+    if (meta.score) {
+      const score = document.createElement('span');
+      score.className = 'ta-outline-score';
+      score.textContent = meta.score;
+      label.appendChild(score);
+    }
+
+    if (node.descendants > 0) {
+      const count = document.createElement('span');
+      count.className = 'ta-outline-count';
+      count.textContent = `+${node.descendants}`;
+      count.title = `${node.descendants} replies below`;
+      label.appendChild(count);
+    }
+
+    el.appendChild(label);
+
+    const children = document.createElement('div');
+    children.className = 'ta-outline-children';
+    el.appendChild(children);
+
+    nodeElements.set(node.comment, el);
+    elementNodes.set(el, node);
+
+    const id = Selectors.getCommentId(node.comment);
+    if (id && expandedIds.has(id)) expand(node);
+
+    return el;
+  }
+
+  /**
+   * Render the next chunk of a node list into a container
+   * @param {Object[]} list - Nodes to render
+   * @param {Element} into - Container element
+   */
+  function renderChunk(list, into) {
+    const more = into.querySelector(':scope > .ta-outline-more');
+    if (more) more.remove();
+
+    const start = into.querySelectorAll(':scope > .ta-outline-node').length;
+    const end = Math.min(list.length, start + CHUNK_SIZE);
+
+    for (let i = start; i < end; i++) {
+      into.appendChild(createNodeElement(list[i]));
+    }
+
+    if (end < list.length) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'ta-outline-more';
+      button.textContent = `Show ${Math.min(CHUNK_SIZE, list.length - end)} more of ${list.length - end}`;
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        renderChunk(list, into);
+      });
+      into.appendChild(button);
+    }
+  }
+
+  /**
+   * Render a list until the node at a given index is rendered
+   * @param {Object[]} list - Nodes
+   * @param {Element} into - Container element
+   * @param {number} index - Index that must be rendered
+   */
+  function renderUpTo(list, into, index) {
+    while (into.querySelectorAll(':scope > .ta-outline-node').length <= index) {
+      renderChunk(list, into);
+    }
+  }
+
+  /**
+   * Expand a node, rendering its first chunk of replies
+   * @param {Object} node - Tree node
+   */
+  function expand(node) {
+    const el = nodeElements.get(node.comment);
+    if (!el || node.children.length === 0) return;
+
+    const id = Selectors.getCommentId(node.comment);
+    if (id) expandedIds.add(id);
+
+    el.classList.add('expanded');
+    el.querySelector('.ta-outline-toggle').textContent = '▾';
+
+    const children = el.querySelector(':scope > .ta-outline-children');
+    if (children.childElementCount === 0) renderChunk(node.children, children);
+  }
+
+  /**
+   * Collapse a node (its rendered replies are dropped)
+   * @param {Object} node - Tree node
+   */
+  function collapse(node) {
+    const el = nodeElements.get(node.comment);
+    if (!el) return;
+
+    const id = Selectors.getCommentId(node.comment);
+    if (id) expandedIds.delete(id);
+
+    el.classList.remove('expanded');
+    el.querySelector('.ta-outline-toggle').textContent = node.children.length > 0 ? '▸' : '';
+    el.querySelector(':scope > .ta-outline-children').replaceChildren();
+  }
+
+  /**
+   * Handle clicks in the tree: toggles expand, labels select
+   * @param {Event} e - Click event
+   */
+  function handleTreeClick(e) {
+    const label = e.target.closest('.ta-outline-label');
+    if (!label) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+
+    const node = elementNodes.get(label.parentElement);
+    if (!node) return;
+
+    if (e.target.closest('.ta-outline-toggle')) {
+      if (label.parentElement.classList.contains('expanded')) {
+        collapse(node);
+      } else {
+        expand(node);
+      }
+      return;
+    }
+
+    if (onSelectCallback) {
+      try {
+        onSelectCallback(node.comment);
+      } catch (error) {
+        console.error('[Outline] Select callback error:', error);
+      }
+    }
+  }
+
+  /**
+   * Render the tree from scratch
+   */
+  function renderTree() {
+    if (!treeElement) return;
+
+    const scrollTop = treeElement.scrollTop;
+    nodeElements = new WeakMap();
+    elementNodes = new WeakMap();
+    treeElement.replaceChildren();
+
+    if (roots.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'ta-outline-empty';
+      empty.textContent = 'No comments loaded';
+      treeElement.appendChild(empty);
+    } else {
+      renderChunk(roots, treeElement);
+    }
+
+    treeElement.scrollTop = scrollTop;
+    highlightChain();
+  }
+
+  /**
+   * Expand and highlight the anchored comment's chain
+   */
+  function highlightChain() {
+    if (!treeElement) return;
+
+    treeElement.querySelectorAll('.ta-outline-chain, .ta-outline-current').forEach(el => {
+      el.classList.remove('ta-outline-chain', 'ta-outline-current');
+    });
+
+    if (!activeComment || !nodes.has(activeComment)) return;
+
+    const chain = Ancestors.computeAncestors(activeComment).filter(c => nodes.has(c));
+    let list = roots;
+    let into = treeElement;
+
+    chain.forEach((comment, i) => {
+      const node = nodes.get(comment);
+      const index = list.indexOf(node);
+      if (index === -1) return;
+
+      renderUpTo(list, into, index);
+      const el = nodeElements.get(comment);
+      if (!el) return;
+
+      if (i < chain.length - 1) {
+        expand(node);
+        el.classList.add('ta-outline-chain');
+        list = node.children;
+        into = el.querySelector(':scope > .ta-outline-children');
+      } else {
+        el.classList.add('ta-outline-current');
+        el.querySelector('.ta-outline-label').scrollIntoView({ block: 'nearest' });
+      }
+    });
+  }
+
+  /**
+   * Rebuild the model and the tree (only while the panel is shown)
+   */
+  function rebuild() {
+    if (!isActive) return;
+
+    if (!isVisible()) {
+      isStale = true;
+      return;
+    }
+
+    buildModel();
+    renderTree();
+  }
+
+  /**
+   * Create the panel element
+   */
+  function createPanel() {
+    panel = document.createElement('div');
+    panel.id = 'ta-outline-panel';
+
+    const header = document.createElement('div');
+    header.className = 'ta-outline-header';
+
+    const title = document.createElement('span');
+    title.textContent = 'Outline';
+    header.appendChild(title);
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'ta-outline-close';
+    close.textContent = '✕';
+    close.title = 'Close outline';
+    close.addEventListener('click', (e) => {
+      e.preventDefault();
+      hide();
+    });
+    header.appendChild(close);
+
+    panel.appendChild(header);
+
+    treeElement = document.createElement('div');
+    treeElement.className = 'ta-outline-tree';
+    treeElement.addEventListener('click', handleTreeClick);
+    panel.appendChild(treeElement);
+
+    document.body.appendChild(panel);
+  }
+
+  /**
+   * Show the panel (building the tree if the page changed)
+   */
+  function show() {
+    if (!isActive) return;
+
+    if (!panel) createPanel();
+    panel.classList.add('visible');
+
+    if (isStale) {
+      buildModel();
+      renderTree();
+    } else {
+      highlightChain();
+    }
+  }
+
+  /**
+   * Hide the panel
+   */
+  function hide() {
+    if (panel) panel.classList.remove('visible');
+  }
+
+  /**
+   * Show or hide the panel
+   */
+  function toggle() {
+    if (isVisible()) {
+      hide();
+    } else {
+      show();
+    }
+  }
+
+  /**
+   * Check if the panel is shown
+   * @returns {boolean}
+   */
+  function isVisible() {
+    return !!panel && panel.classList.contains('visible');
+  }
+
+  /**
+   * Highlight the anchored comment's chain
+   * @param {Element|null} comment - The anchored comment
+   */
+  function setActive(comment) {
+    activeComment = comment;
+    if (isVisible() && !isStale) highlightChain();
+  }
+
+  /**
+   * Rebuild the tree after comments were added or removed
+   */
+  function refresh() {
+    if (!isActive) return;
+
+    isStale = true;
+    refreshDebounced();
+  }
+
+  /**
+   * Initialize the outline (the panel is created when first shown)
+   * @param {Object} options - Configuration options
+   * @param {Function} options.onSelect - Called with the comment of a clicked node
+   */
+  function init(options = {}) {
+    if (isActive) return;
+
+    onSelectCallback = options.onSelect || null;
+    isStale = true;
+    isActive = true;
+    styles.inject();
+
+    console.log('[Outline] Initialized');
+  }
+
+  /**
+   * Destroy the outline and remove the panel
+   */
+  function destroy() {
+    if (!isActive) return;
+
+    refreshDebounced.cancel();
+    if (panel && panel.parentNode) {
+      panel.parentNode.removeChild(panel);
+    }
+    panel = null;
+    treeElement = null;
+    nodes = new Map();
+    roots = [];
+    nodeElements = new WeakMap();
+    elementNodes = new WeakMap();
+    expandedIds.clear();
+    activeComment = null;
+    styles.remove();
+    onSelectCallback = null;
+    isActive = false;
+
+    console.log('[Outline] Destroyed');
+  }
+
+  // Public API
+  return {
+    init,
+    destroy,
+    show,
+    hide,
+    toggle,
+    isVisible,
+    setActive,
+    refresh
+  };
+})();
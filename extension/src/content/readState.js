@@ -0,0 +1,356 @@
+/**
+ * readState.js - Track which comments have been read
+ *
+ * A comment counts as read once its own content (not its replies) has
+ * been in the viewport for READ_DELAY. Read comment IDs are stored per
+ * thread via ThreadStore. Read comments can optionally get a subtle
+ * marker in the page.
+ */
+
+const ReadState = (() => {
+  // Time a comment must stay in view to count as read (ms)
+  const READ_DELAY = 1500;
+
+  // Maximum number of read IDs stored per thread (oldest dropped first)
+  const MAX_READ_IDS = 3000;
+
+  // Delay before writing read state to storage (ms)
+  const SAVE_DELAY = 2000;
+
+  // Visibility ratios to be notified at (0, 0.05, ... 1). A single 0.5
+  // step isn't enough: an entry taller than two viewports never reaches
+  // it, so the half-screen check below would never run for it.
+  const THRESHOLDS = Array.from({ length: 21 }, (_, i) => i / 20);
+
+  // Module state
+  let isActive = false;
+
+  // Post ID the read state belongs to
+  let postId = null;
+
+  // Set once the stored read set was loaded (nothing is saved before)
+  let loaded = false;
+
+  // Read comment IDs, oldest first (Set keeps insertion order)
+  let readIds = new Set();
+
+  // Whether readIds has changes not yet saved
+  let isDirty = false;
+
+  // Whether read comments get a visual marker
+  let markersEnabled = false;
+
+  // Callback for read state changes
+  let onChangeCallback = null;
+
+  // Observer for comment entries entering/leaving the viewport
+  let intersectionObserver = null;
+
+  // Entry element -> comment element
+  const entryToComment = new WeakMap();
+
+  // Pending "mark as read" timers (entry element -> timeout ID)
+  const readTimers = new Map();
+
+  // Style element for the read marker
+  let styleElement = null;
+
+  // Debounced save to storage
+  const saveDebounced = Util.debounce(save, SAVE_DELAY);
+
+  /**
+   * Persist read IDs for this thread
+   */
+  function save() {
+    if (!postId || !loaded || !isDirty) return;
+
+    isDirty = false;
+    ThreadStore.update(postId, { read: ThreadStore.packIds(readIds) });
+  }
+
+  /**
+   * Inject the CSS for read markers
+   */
+  function injectStyles() {
+    if (styleElement) return;
+
+    styleElement = document.createElement('style');
+    styleElement.id = 'ta-read-styles';
+    styleElement.textContent = `
+    .thing.comment.ta-read > .entry,
+    shreddit-comment.ta-read > [slot="comment"] {
+      box-shadow: inset 3px 0 0 rgba(78, 205, 196, 0.35);
+    }
+    `;
+    document.head.appendChild(styleElement);
+  }
+
+  /**
+   * Remove the read marker CSS
+   */
+  function removeStyles() {
+    if (styleElement && styleElement.parentNode) {
+      styleElement.parentNode.removeChild(styleElement);
+    }
+    styleElement = null;
+  }
+
+  /**
+   * Add or remove the read marker on every read comment
+   * @param {boolean} show - Whether markers should be shown
+   */
+  function applyMarkers(show) {
+    Selectors.getAllCommentThings().forEach(comment => {
+      const id = Selectors.getCommentId(comment);
+      comment.classList.toggle('ta-read', show && readIds.has(id));
+    });
+  }
+
+  /**
+   * Mark a comment as read
+   * @param {Element} comment - Comment element
+   */
+  function markRead(comment) {
+    const id = Selectors.getCommentId(comment);
+    if (!id || readIds.has(id)) return;
+
+    readIds.add(id);
+
+    // Drop the oldest IDs beyond the cap
+    if (readIds.size > MAX_READ_IDS) {
+      readIds = new Set(Array.from(readIds).slice(-MAX_READ_IDS));
+    }
+
+    if (markersEnabled) {
+      comment.classList.add('ta-read');
+    }
+
+    isDirty = true;
+    saveDebounced();
+
+    if (onChangeCallback) {
+      try {
+        onChangeCallback(comment);
+      } catch (error) {
+        console.error('[ReadState] Callback error:', error);
+      }
+    }
+  }
+
+  /**
+   * Handle IntersectionObserver updates: start a read timer for entries
+   * that are mostly in view, cancel it for entries that left
+   * @param {IntersectionObserverEntry[]} entries
+   */
+  function handleIntersection(entries) {
+    const halfViewport = window.innerHeight / 2;
+
+    for (const entry of entries) {
+      const inView = entry.isIntersecting &&
+        (entry.intersectionRatio >= 0.5 || entry.intersectionRect.height >= halfViewport);
+
+      if (inView && !readTimers.has(entry.target)) {
+        const comment = entryToComment.get(entry.target);
+        readTimers.set(entry.target, setTimeout(() => {
+          readTimers.delete(entry.target);
+          if (intersectionObserver) intersectionObserver.unobserve(entry.target);
+          markRead(comment);
+        }, READ_DELAY));
+      } else if (!inView && readTimers.has(entry.target)) {
+        clearTimeout(readTimers.get(entry.target));
+        readTimers.delete(entry.target);
+      }
+    }
+  }
+
+  /**
+   * Start watching comments that haven't been read yet
+   * @param {Element[]} comments - Comment elements
+   */
+  function observeComments(comments) {
+    if (!intersectionObserver) return;
+
+    comments.forEach(comment => {
+      if (readIds.has(Selectors.getCommentId(comment))) return;
+
+      const entry = Selectors.getCommentEntry(comment);
+      if (!entry) return;
+
+      entryToComment.set(entry, comment);
+      intersectionObserver.observe(entry);
+    });
+  }
+
+  /**
+   * Stop watching comments that were removed from the page
+   * @param {Element[]} comments - Comment elements
+   */
+  function unobserveComments(comments) {
+    if (!intersectionObserver) return;
+
+    comments.forEach(comment => {
+      const entry = Selectors.getCommentEntry(comment);
+      if (!entry) return;
+
+      intersectionObserver.unobserve(entry);
+      if (readTimers.has(entry)) {
+        clearTimeout(readTimers.get(entry));
+        readTimers.delete(entry);
+      }
+    });
+  }
+
+  /**
+   * Check if a comment has been read
+   * @param {Element} comment - Comment element
+   * @returns {boolean}
+   */
+  function isRead(comment) {
+    return readIds.has(Selectors.getCommentId(comment));
+  }
+
+  /**
+   * Find the next unread comment in document order after a comment,
+   * wrapping around to the start of the thread
+   * @param {Element|null} after - Comment to start after (null = from the top)
+   * @returns {Element|null} Next unread comment, or null if all are read
+   */
+  function findNextUnread(after = null) {
+    if (!isActive) return null;
+
+    const comments = Selectors.getAllCommentThings();
+    const start = after ? comments.indexOf(after) + 1 : 0;
+
+    for (let i = 0; i < comments.length; i++) {
+      const comment = comments[(start + i) % comments.length];
+      if (comment !== after && !readIds.has(Selectors.getCommentId(comment))) {
+        return comment;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Count the unread comments below a comment
+   * @param {Element} comment - Comment element
+   * @returns {number|null} Unread descendant count, or null when not tracking
+   */
+  function getUnreadCount(comment) {
+    if (!isActive) return null;
+
+    return Util.perfMeasure('readState.getUnreadCount', () => {
+      let count = 0;
+      Selectors.getDescendantThings(comment).forEach(descendant => {
+        if (!readIds.has(Selectors.getCommentId(descendant))) count++;
+      });
+      return count;
+    });
+  }
+
+  /**
+   * Show or hide the read markers
+   * @param {boolean} enabled
+   */
+  function setMarkersEnabled(enabled) {
+    markersEnabled = enabled;
+    if (!isActive) return;
+
+    if (enabled) {
+      injectStyles();
+    } else {
+      removeStyles();
+    }
+    applyMarkers(enabled);
+  }
+
+  /**
+   * Save pending changes when the page is hidden or unloaded
+   */
+  function handleVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+      saveDebounced.cancel();
+      save();
+    }
+  }
+
+  /**
+   * Initialize read tracking for a thread
+   * @param {Object} options - Configuration options
+   * @param {string} options.postId - Post ID of the thread
+   * @param {boolean} options.markers - Show a marker on read comments
+   * @param {Function} options.onChange - Callback when a comment is read
+   * @returns {Promise<void>}
+   */
+  async function init(options = {}) {
+    if (isActive) return;
+
+    postId = options.postId || null;
+    onChangeCallback = options.onChange || null;
+    isActive = true;
+
+    if (postId) {
+      const record = await ThreadStore.get(postId);
+      // Bail if destroyed while loading
+      if (!isActive) return;
+      readIds = new Set(ThreadStore.unpackIds(record.read));
+      loaded = true;
+    }
+
+    intersectionObserver = new IntersectionObserver(handleIntersection, {
+      root: null,
+      rootMargin: '0px',
+      threshold: THRESHOLDS
+    });
+    observeComments(Selectors.getAllCommentThings());
+
+    setMarkersEnabled(!!options.markers);
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    console.log('[ReadState] Initialized with', readIds.size, 'read comments');
+  }
+
+  /**
+   * Destroy read tracking (stored read state is kept)
+   */
+  function destroy() {
+    if (!isActive) return;
+
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+
+    if (intersectionObserver) {
+      intersectionObserver.disconnect();
+      intersectionObserver = null;
+    }
+    readTimers.forEach(timer => clearTimeout(timer));
+    readTimers.clear();
+
+    // Flush pending changes
+    saveDebounced.cancel();
+    save();
+
+    applyMarkers(false);
+    removeStyles();
+
+    postId = null;
+    loaded = false;
+    readIds = new Set();
+    isDirty = false;
+    onChangeCallback = null;
+    isActive = false;
+
+    console.log('[ReadState] Destroyed');
+  }
+
+  // Public API
+  return {
+    init,
+    destroy,
+    isRead,
+    findNextUnread,
+    getUnreadCount,
+    observeComments,
+    unobserveComments,
+    setMarkersEnabled
+  };
+})();
@@ -0,0 +1,163 @@
+/**
+ * search.js - Find comments in the thread, with their ancestor context
+ *
+ * Matches comment bodies and authors across every comment on the page,
+ * collapsed ones included, as plain text or a regular expression. Each
+ * hit carries a compact breadcrumb of the authors above it, so results
+ * can be told apart without opening them.
+ */
+
+const Search = (() => {
+  // Maximum results returned per query
+  const MAX_RESULTS = 50;
+
+  // Characters of context around a match in the snippet
+  const SNIPPET_CONTEXT = 40;
+
+  // Breadcrumb entries kept at the start and end of long chains
+  const BREADCRUMB_HEAD = 1;
+  const BREADCRUMB_TAIL = 2;
+
+  // Cache for comment body text
+  const textCache = Util.createCache('search.text');
+
+  /**
+   * Get a comment's body text (cached)
+   * @param {Element} comment - Comment element
+   * @returns {string}
+   */
+  function getText(comment) {
+    if (textCache.has(comment)) return textCache.get(comment);
+
+    const text = Selectors.getCommentText(comment);
+    textCache.set(comment, text);
+    return text;
+  }
+
+  /**
+   * Escape a string for use in a regular expression
+   * @param {string} text
+   * @returns {string}
+   */
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Build the pattern for a query
+   * @param {string} query - Search text
+   * @param {boolean} regex - Treat the query as a regular expression
+   * @returns {RegExp}
+   * @throws {SyntaxError} If the regular expression is invalid
+   */
+  function buildPattern(query, regex) {
+    return new RegExp(regex ? query : escapeRegExp(query), 'i');
+  }
+
+  /**
+   * Get the compact breadcrumb of authors above a comment
+   * @param {Element} comment - Comment element
+   * @returns {string[]} Authors, top-level first ('…' marks skipped levels)
+   */
+  function getBreadcrumb(comment) {
+    const authors = Ancestors.computeAncestors(comment).slice(0, -1).map(ancestor => {
+      const meta = Selectors.getCommentMeta(ancestor);
+      return meta ? meta.author : '[unknown]';
+    });
+
+    if (authors.length <= BREADCRUMB_HEAD + BREADCRUMB_TAIL + 1) return authors;
+    return authors.slice(0, BREADCRUMB_HEAD)
+      .concat(['…'])
+      .concat(authors.slice(-BREADCRUMB_TAIL));
+  }
+
+  /**
+   * Cut the text around a match
+   * @param {string} text - Comment text
+   * @param {number} index - Match start
+   * @param {number} length - Match length
+   * @returns {string}
+   */
+  function getSnippet(text, index, length) {
+    const start = Math.max(0, index - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, index + length + SNIPPET_CONTEXT);
+
+    let snippet = text.slice(start, end).replace(/\s+/g, ' ');
+    if (start > 0) snippet = '…' + snippet;
+    if (end < text.length) snippet += '…';
+    return snippet;
+  }
+
+  /**
+   * Search the comments on the page
+   * @param {string} query - Search text
+   * @param {Object} options - Options
+   * @param {boolean} options.regex - Treat the query as a regular expression
+   * @param {boolean} options.authorOnly - Match authors only
+   * @returns {Object} { results, total, error } where results are
+   *   { comment, author, breadcrumb, snippet } (at most MAX_RESULTS)
+   */
+  function find(query, options = {}) {
+    const { regex = false, authorOnly = false } = options;
+    const result = { results: [], total: 0, error: null };
+
+    if (!query) return result;
+
+    let pattern;
+    try {
+      pattern = buildPattern(query, regex);
+    } catch (error) {
+      result.error = 'Invalid pattern';
+      return result;
+    }
+
+    const end = Util.perfStart('search.find');
+
+    Selectors.getAllCommentThings().forEach(comment => {
+      const meta = Selectors.getCommentMeta(comment);
+      const author = meta ? meta.author : '';
+
+      let snippet = null;
+      if (pattern.test(author)) {
+        snippet = (meta && meta.excerpt) || '';
+      } else if (!authorOnly) {
+        const text = getText(comment);
+        const match = text.match(pattern);
+        if (match && match[0].length > 0) {
+          snippet = getSnippet(text, match.index, match[0].length);
+        }
+      }
+      if (snippet === null) return;
+
+      result.total++;
+      if (result.results.length < MAX_RESULTS) {
+        result.results.push({ comment, author, breadcrumb: getBreadcrumb(comment), snippet });
+      }
+    });
+
+    end();
+    return result;
+  }
+
+  /**
+   * Drop the cached text of a comment (call when it was edited)
+   * @param {Element} comment - Comment element
+   */
+  function invalidate(comment) {
+    textCache.delete(comment);
+  }
+
+  /**
+   * Empty the text cache
+   */
+  function clearCache() {
+    textCache.clear();
+  }
+
+  // Public API
+  return {
+    find,
+    invalidate,
+    clearCache
+  };
+})();
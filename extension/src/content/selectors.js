@@ -16,13 +16,13 @@
 
 const Selectors = (() => {
   // Cache for computed depths
-  const depthCache = new WeakMap();
+  const depthCache = Util.createCache('selectors.depth');
 
   // Cache for comment IDs
-  const idCache = new WeakMap();
+  const idCache = Util.createCache('selectors.id');
 
   // Cache for comment metadata
-  const metaCache = new WeakMap();
+  const metaCache = Util.createCache('selectors.meta');
 
   // Detect which Reddit version we're on
   let redditVersion = null;
@@ -94,6 +94,11 @@ const Selectors = (() => {
       return id;
     },
 
+    getCommentById(id) {
+      return document.querySelector(`.thing.comment[data-fullname="${CSS.escape(id)}"]`) ||
+             document.querySelector(`.thing.comment#thing_${CSS.escape(id)}`);
+    },
+
     getExpandControl(el) {
       if (!this.isCommentThing(el)) return null;
       return el.querySelector(':scope > .entry a.expand') ||
@@ -145,12 +150,37 @@ const Selectors = (() => {
       return null;
     },
 
+    getChildThings(el) {
+      if (!this.isCommentThing(el)) return [];
+      return Array.from(el.querySelectorAll(':scope > .child > * > .thing.comment'));
+    },
+
+    getDescendantThings(el) {
+      if (!this.isCommentThing(el)) return [];
+      return Array.from(el.querySelectorAll('.thing.comment'));
+    },
+
+    getCommentEntry(el) {
+      if (!this.isCommentThing(el)) return null;
+      return el.querySelector(':scope > .entry') || el;
+    },
+
+    getTopLevelThings() {
+      const scoped = document.querySelectorAll('.commentarea > .nestedlisting > .thing.comment');
+      if (scoped.length > 0) return Array.from(scoped);
+      return this.getAllCommentThings().filter(el => !this.getParentThing(el));
+    },
+
     getCommentsContainer() {
       return document.querySelector('.siteTable.nestedlisting') ||
              document.querySelector('.commentarea > .siteTable') ||
              document.querySelector('.commentarea');
     },
 
+    getBodyElement(el) {
+      return el.querySelector(':scope > .entry .md');
+    },
+
     getCommentMeta(el) {
       if (!this.isCommentThing(el)) return null;
       if (metaCache.has(el)) return metaCache.get(el);
@@ -167,7 +197,7 @@ const Selectors = (() => {
       const timeEl = entry.querySelector('time');
       const time = timeEl ? timeEl.getAttribute('title') || timeEl.textContent.trim() : '';
 
-      const bodyEl = entry.querySelector('.md');
+      const bodyEl = this.getBodyElement(el);
       let excerpt = '';
       if (bodyEl) {
         excerpt = bodyEl.textContent.trim().slice(0, 150);
@@ -179,6 +209,17 @@ const Selectors = (() => {
       return meta;
     },
 
+    getHighlightedComment() {
+      // Only permalink pages opened with ?context= highlight a comment
+      if (!/[?&]context=/.test(window.location.search)) return null;
+
+      const highlighted = document.querySelector('.thing.comment.highlighted');
+      if (highlighted) return highlighted;
+
+      const match = window.location.pathname.match(/\/comments\/[a-z0-9]+\/[^\/]*\/([a-z0-9]+)/i);
+      return match ? this.getCommentById('t1_' + match[1]) : null;
+    },
+
     getOriginalPost() {
       const postEl = document.querySelector('.thing.link') ||
                      document.querySelector('#siteTable .thing');
@@ -263,6 +304,11 @@ const Selectors = (() => {
       return id;
     },
 
+    getCommentById(id) {
+      return document.querySelector(`shreddit-comment[thingid="${CSS.escape(id)}"]`) ||
+             document.querySelector(`[data-testid="comment"][data-fullname="${CSS.escape(id)}"]`);
+    },
+
     getExpandControl(el) {
       if (!this.isCommentThing(el)) return null;
       // New Reddit collapse is handled differently
@@ -328,6 +374,29 @@ const Selectors = (() => {
       return null;
     },
 
+    getChildThings(el) {
+      if (!this.isCommentThing(el)) return [];
+      // Replies are nested directly inside their parent shreddit-comment
+      return Array.from(el.children).filter(child => this.isCommentThing(child));
+    },
+
+    getDescendantThings(el) {
+      if (!this.isCommentThing(el)) return [];
+      return Array.from(el.querySelectorAll('shreddit-comment'));
+    },
+
+    getCommentEntry(el) {
+      if (!this.isCommentThing(el)) return null;
+      // The comment's own content, excluding nested replies
+      return el.querySelector(':scope > [slot="comment"]') || el;
+    },
+
+    getTopLevelThings() {
+      const scoped = document.querySelectorAll('shreddit-comment-tree > shreddit-comment');
+      if (scoped.length > 0) return Array.from(scoped);
+      return this.getAllCommentThings().filter(el => !this.getParentThing(el));
+    },
+
     getCommentsContainer() {
       return document.querySelector('shreddit-comment-tree') ||
              document.querySelector('[data-testid="comments-page-container"]') ||
@@ -335,6 +404,13 @@ const Selectors = (() => {
              document.querySelector('div[id*="comment"]');
     },
 
+    getBodyElement(el) {
+      return el.querySelector('[slot="comment"]') ||
+             el.querySelector('[data-testid="comment"]') ||
+             el.querySelector('div[id*="comment-content"]') ||
+             el.querySelector('p');
+    },
+
     getCommentMeta(el) {
       if (!this.isCommentThing(el)) return null;
       if (metaCache.has(el)) return metaCache.get(el);
@@ -370,10 +446,7 @@ const Selectors = (() => {
 
       // Excerpt - find comment body
       let excerpt = '';
-      const bodyEl = el.querySelector('[slot="comment"]') ||
-                    el.querySelector('[data-testid="comment"]') ||
-                    el.querySelector('div[id*="comment-content"]') ||
-                    el.querySelector('p');
+      const bodyEl = this.getBodyElement(el);
       if (bodyEl) {
         excerpt = bodyEl.textContent.trim().slice(0, 150);
         if (bodyEl.textContent.length > 150) excerpt += '...';
@@ -384,6 +457,11 @@ const Selectors = (() => {
       return meta;
     },
 
+    getHighlightedComment() {
+      // New Reddit doesn't mark the permalinked comment
+      return null;
+    },
+
     getOriginalPost() {
       // Try shreddit-post element
       const postEl = document.querySelector('shreddit-post') ||
@@ -489,6 +567,16 @@ const Selectors = (() => {
     return getSelectors().getCommentId(el);
   }
 
+  /**
+   * Find a comment element by its ID
+   * @param {string} id - Comment ID (e.g., "t1_abc123")
+   * @returns {Element|null} Comment element or null if not on the page
+   */
+  function getCommentById(id) {
+    if (!id) return null;
+    return getSelectors().getCommentById(id);
+  }
+
   /**
    * Get the expand/collapse control element for a comment
    * @param {Element} el - Comment element
@@ -525,6 +613,42 @@ const Selectors = (() => {
     return getSelectors().getParentThing(el);
   }
 
+  /**
+   * Get the direct reply comments of a comment, in document order
+   * @param {Element} el - Comment element
+   * @returns {Element[]} Array of child comment elements
+   */
+  function getChildThings(el) {
+    return getSelectors().getChildThings(el);
+  }
+
+  /**
+   * Get all comments nested anywhere below a comment, in document order
+   * @param {Element} el - Comment element
+   * @returns {Element[]} Array of descendant comment elements
+   */
+  function getDescendantThings(el) {
+    return getSelectors().getDescendantThings(el);
+  }
+
+  /**
+   * Get the element holding a comment's own content (author line and body),
+   * excluding its replies
+   * @param {Element} el - Comment element
+   * @returns {Element|null}
+   */
+  function getCommentEntry(el) {
+    return getSelectors().getCommentEntry(el);
+  }
+
+  /**
+   * Get all top-level comments, in document order
+   * @returns {Element[]} Array of top-level comment elements
+   */
+  function getTopLevelThings() {
+    return getSelectors().getTopLevelThings();
+  }
+
   /**
    * Get the comments container element
    * @returns {Element|null}
@@ -542,6 +666,41 @@ const Selectors = (() => {
     return getSelectors().getCommentMeta(el);
   }
 
+  /**
+   * Get the full text of a comment's body (not its replies), also for
+   * collapsed comments
+   * @param {Element} el - Comment element
+   * @returns {string} Body text ('' if not found)
+   */
+  function getCommentText(el) {
+    if (!isCommentThing(el)) return '';
+    const bodyEl = getSelectors().getBodyElement(el);
+    return bodyEl ? bodyEl.textContent.trim() : '';
+  }
+
+  /**
+   * Drop cached depth and metadata for a comment, and the depths of
+   * its replies (call when the comment changed or moved in the tree)
+   * @param {Element} el - Comment element
+   */
+  function invalidate(el) {
+    depthCache.delete(el);
+    metaCache.delete(el);
+    getDescendantThings(el).forEach(descendant => depthCache.delete(descendant));
+  }
+
+  /**
+   * Empty all caches (call if the DOM was replaced wholesale)
+   * The Reddit version is detected again on next use, since a
+   * client-side navigation can land on a page that hasn't rendered yet.
+   */
+  function clearCache() {
+    depthCache.clear();
+    idCache.clear();
+    metaCache.clear();
+    redditVersion = null;
+  }
+
   /**
    * Get all "load more comments" elements on the page
    * @returns {Element[]} Array of morecomments elements
@@ -585,6 +744,15 @@ const Selectors = (() => {
     return el.querySelector('a, button') || null;
   }
 
+  /**
+   * Get the comment highlighted by the server on permalink pages
+   * (old Reddit ?context= links)
+   * @returns {Element|null}
+   */
+  function getHighlightedComment() {
+    return getSelectors().getHighlightedComment();
+  }
+
   /**
    * Get the original post (OP) metadata
    * @returns {Object|null} Object with title, author, score, subreddit, url, element
@@ -599,15 +767,24 @@ const Selectors = (() => {
     getAllCommentThings,
     isCommentThing,
     getCommentId,
+    getCommentById,
     getExpandControl,
     isCollapsed,
     getIndentDepth,
     getParentThing,
+    getChildThings,
+    getDescendantThings,
+    getCommentEntry,
+    getTopLevelThings,
     getCommentsContainer,
     getCommentMeta,
+    getCommentText,
+    invalidate,
+    clearCache,
     getAllMoreComments,
     isMoreCommentsLink,
     getMoreCommentsLink,
+    getHighlightedComment,
     getOriginalPost
   };
 })();
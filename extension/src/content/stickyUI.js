@@ -7,9 +7,37 @@
  */
 
 const StickyUI = (() => {
+  // Longest wait for expanded comments to settle before jumping (ms)
+  const LAYOUT_SETTLE_TIMEOUT = 500;
+
+  // Delay before searching while typing (ms)
+  const SEARCH_DELAY = 200;
+
+  // Tallest the container gets, as a fraction of the viewport height
+  const MAX_HEIGHT_RATIO = 0.4;
+
   // Container element
   let container = null;
 
+  // Toolbar and bookmark strip (kept across renders) and the element holding the rows
+  let toolbar = null;
+  let bookmarkStrip = null;
+  let followStrip = null;
+  let rowsElement = null;
+
+  // Search bar (hidden until opened) and its parts
+  let searchBar = null;
+  let searchInput = null;
+  let searchResults = null;
+  let searchOptions = { regex: false, authorOnly: false };
+  let searchMatches = [];
+
+  // Emitter for toolbar actions ('back', 'forward', ...)
+  const events = Util.createEmitter();
+
+  // Timer for clearing the toolbar status message
+  let statusTimeout = null;
+
   // Style element for injected CSS
   let styleElement = null;
 
@@ -27,12 +55,24 @@ const StickyUI = (() => {
   // Track current chain to avoid unnecessary re-renders
   let currentChainIds = [];
 
+  // Comment rows currently rendered ({ row, comment }), for in-place updates
+  let renderedRows = [];
+
   // Reddit header height (for positioning below it)
   let redditHeaderHeight = 0;
 
   // Currently highlighted active comment
   let currentActiveComment = null;
 
+  // Watches rendered comments for native collapse/expand
+  let collapseObserver = null;
+
+  // Incremented per scrollToComment call, so stale delayed jumps are dropped
+  let scrollRequest = 0;
+
+  // Ask for results while typing (debounced)
+  const emitSearchDebounced = Util.debounce(emitSearch, SEARCH_DELAY);
+
   // Theme palettes
   const THEMES = {
     dark: {
@@ -211,6 +251,22 @@ const StickyUI = (() => {
   function generateCSS() {
     const t = getCurrentTheme();
     return `
+    /* Theme colors as variables, for the overlays that add their own
+       stylesheets (they are unstyled without this one) */
+    :root {
+      --ta-bg-gradient: ${t.bgGradient};
+      --ta-border: ${t.border};
+      --ta-row-border: ${t.rowBorder};
+      --ta-row-hover: ${t.rowHover};
+      --ta-text: ${t.text};
+      --ta-text-muted: ${t.textMuted};
+      --ta-text-faint: ${t.textFaint};
+      --ta-accent: ${t.accent};
+      --ta-accent-hover: ${t.accentHover};
+      --ta-author: ${t.author};
+      --ta-author-op: ${t.authorOp};
+    }
+
     #ta-sticky-container {
       position: fixed;
       top: 0;
@@ -222,7 +278,7 @@ const StickyUI = (() => {
       box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
       font-family: verdana, arial, helvetica, sans-serif;
       font-size: 14px;
-      max-height: 40vh;
+      max-height: ${MAX_HEIGHT_RATIO * 100}vh;
       overflow-y: auto;
       display: none;
     }
@@ -290,6 +346,12 @@ const StickyUI = (() => {
       align-items: center;
     }
 
+    .ta-sticky-row.ta-ghost-row {
+      cursor: default;
+      opacity: 0.65;
+      border-left: 2px dashed ${t.rowBorder};
+    }
+
     .ta-sticky-depth {
       color: ${t.accent};
       font-size: 12px;
@@ -298,6 +360,26 @@ const StickyUI = (() => {
       font-weight: bold;
     }
 
+    .ta-sticky-collapse {
+      background: none;
+      border: none;
+      color: ${t.textMuted};
+      font-family: monospace;
+      font-size: 11px;
+      line-height: 1;
+      padding: 0 2px;
+      flex-shrink: 0;
+      cursor: pointer;
+    }
+
+    .ta-sticky-collapse:hover {
+      color: ${t.accentHover};
+    }
+
+    .ta-sticky-row.collapsed .ta-sticky-excerpt {
+      opacity: 0.6;
+    }
+
     .ta-sticky-meta {
       display: flex;
       align-items: center;
@@ -337,6 +419,54 @@ const StickyUI = (() => {
       font-size: 13px;
     }
 
+    .ta-sticky-unread {
+      color: ${t.accent};
+      font-size: 11px;
+      padding: 0 5px;
+      border: 1px solid ${t.accent};
+      border-radius: 8px;
+    }
+
+    .ta-sticky-op-below {
+      color: ${t.authorOp};
+      font-size: 11px;
+      padding: 0 5px;
+      border: 1px solid ${t.authorOp};
+      border-radius: 8px;
+    }
+
+    .ta-sticky-opreplies {
+      color: ${t.authorOp};
+    }
+
+    .ta-sticky-siblings {
+      display: inline-flex;
+      align-items: center;
+      color: ${t.textMuted};
+      font-size: 11px;
+      white-space: nowrap;
+    }
+
+    .ta-sticky-sibling-btn {
+      background: none;
+      border: none;
+      color: ${t.accent};
+      font-family: inherit;
+      font-size: 13px;
+      line-height: 1;
+      padding: 0 4px;
+      cursor: pointer;
+    }
+
+    .ta-sticky-sibling-btn:hover:not(:disabled) {
+      color: ${t.accentHover};
+    }
+
+    .ta-sticky-sibling-btn:disabled {
+      color: ${t.textFaint};
+      cursor: default;
+    }
+
     .ta-sticky-time {
       color: ${t.textFaint};
       font-size: 12px;
@@ -381,6 +511,143 @@ const StickyUI = (() => {
       text-align: center;
     }
 
+    /* Toolbar */
+    .ta-sticky-toolbar {
+      display: flex;
+      align-items: center;
+      justify-content: flex-end;
+      gap: 4px;
+      padding: 3px 14px;
+      border-bottom: 1px solid ${t.rowBorder};
+    }
+
+    .ta-toolbar-btn {
+      background: none;
+      border: 1px solid ${t.rowBorder};
+      border-radius: 4px;
+      color: ${t.accent};
+      font-family: inherit;
+      font-size: 12px;
+      line-height: 1;
+      padding: 3px 8px;
+      cursor: pointer;
+      transition: background-color 0.15s ease;
+    }
+
+    .ta-toolbar-btn:hover:not(:disabled) {
+      background: ${t.rowHover};
+      color: ${t.accentHover};
+    }
+
+    /* Bookmark strip */
+    .ta-sticky-bookmarks {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px;
+      padding: 4px 14px;
+      border-bottom: 1px solid ${t.rowBorder};
+    }
+
+    .ta-sticky-bookmarks:empty {
+      display: none;
+    }
+
+    .ta-sticky-follow {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 4px 14px;
+      border-bottom: 1px solid ${t.rowBorder};
+      font-size: 12px;
+    }
+
+    .ta-sticky-follow:empty {
+      display: none;
+    }
+
+    .ta-follow-label {
+      color: ${t.author};
+      font-weight: bold;
+    }
+
+    .ta-follow-position {
+      color: ${t.textMuted};
+    }
+
+    .ta-sticky-author.followable:hover {
+      text-decoration: underline;
+      cursor: pointer;
+    }
+
+    .ta-bookmark-chip {
+      display: inline-flex;
+      align-items: center;
+      gap: 4px;
+      max-width: 220px;
+      padding: 2px 6px;
+      border: 1px solid ${t.rowBorder};
+      border-radius: 10px;
+      color: ${t.text};
+      font-size: 12px;
+      cursor: pointer;
+    }
+
+    .ta-bookmark-chip:hover {
+      background: ${t.rowHover};
+    }
+
+    .ta-bookmark-chip.current {
+      border-color: ${t.accent};
+      color: ${t.accent};
+    }
+
+    .ta-bookmark-chip.missing {
+      color: ${t.textFaint};
+      cursor: default;
+    }
+
+    .ta-bookmark-label {
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+    }
+
+    .ta-bookmark-remove {
+      color: ${t.textFaint};
+      flex-shrink: 0;
+    }
+
+    .ta-bookmark-remove:hover {
+      color: ${t.accentHover};
+    }
+
+    .ta-toolbar-status {
+      color: ${t.textMuted};
+      font-size: 12px;
+      margin-right: auto;
+    }
+
+    .ta-toolbar-cancel {
+      background: none;
+      border: none;
+      color: ${t.textFaint};
+      font-family: inherit;
+      font-size: 11px;
+      margin-left: 4px;
+      padding: 0 2px;
+      cursor: pointer;
+    }
+
+    .ta-toolbar-cancel:hover {
+      color: ${t.accentHover};
+    }
+
+    .ta-toolbar-btn:disabled {
+      color: ${t.textFaint};
+      opacity: 0.5;
+      cursor: default;
+    }
+
     /* OP (Original Post) row styling */
     .ta-sticky-row.ta-op-row {
       background: ${t.opRowBg};
@@ -406,10 +673,121 @@ const StickyUI = (() => {
       color: ${t.authorOpHover};
     }
 
+    .ta-sticky-new {
+      display: inline-flex;
+      align-items: center;
+      gap: 2px;
+      color: ${t.accent};
+      font-size: 12px;
+      font-weight: bold;
+    }
+
+    .ta-sticky-new-btn {
+      background: none;
+      border: none;
+      color: ${t.accent};
+      font-family: inherit;
+      font-size: 14px;
+      line-height: 1;
+      padding: 0 4px;
+      cursor: pointer;
+    }
+
+    .ta-sticky-new-btn:hover {
+      color: ${t.accentHover};
+    }
+
     .ta-sticky-subreddit {
       color: ${t.textMuted};
       font-size: 12px;
     }
+
+    /* Search bar */
+    .ta-sticky-search {
+      display: none;
+      padding: 6px 14px;
+      border-bottom: 1px solid ${t.rowBorder};
+    }
+
+    .ta-sticky-search.open {
+      display: block;
+    }
+
+    .ta-search-input-row {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+    }
+
+    .ta-search-input {
+      flex: 1;
+      background: ${t.rowHover};
+      border: 1px solid ${t.rowBorder};
+      border-radius: 3px;
+      color: ${t.text};
+      font-family: inherit;
+      font-size: 12px;
+      padding: 3px 6px;
+    }
+
+    .ta-search-option {
+      background: none;
+      border: 1px solid ${t.rowBorder};
+      border-radius: 3px;
+      color: ${t.textFaint};
+      font-family: monospace;
+      font-size: 12px;
+      padding: 1px 5px;
+      cursor: pointer;
+    }
+
+    .ta-search-option.on {
+      color: ${t.accent};
+      border-color: ${t.accent};
+    }
+
+    .ta-search-results {
+      max-height: 25vh;
+      overflow-y: auto;
+    }
+
+    .ta-search-count {
+      color: ${t.textMuted};
+      font-size: 11px;
+      padding: 4px 0;
+    }
+
+    .ta-search-result {
+      padding: 4px 6px;
+      border-top: 1px solid ${t.rowBorder};
+      cursor: pointer;
+      font-size: 12px;
+    }
+
+    .ta-search-result:hover {
+      background: ${t.rowHover};
+    }
+
+    .ta-search-breadcrumb {
+      color: ${t.textFaint};
+      font-size: 11px;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+
+    .ta-search-line {
+      display: flex;
+      gap: 6px;
+      white-space: nowrap;
+      overflow: hidden;
+    }
+
+    .ta-search-snippet {
+      color: ${t.text};
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
   `;
   }
 
@@ -481,6 +859,26 @@ const StickyUI = (() => {
 
     container = document.createElement('div');
     container.id = 'ta-sticky-container';
+
+    toolbar = createToolbar();
+    container.appendChild(toolbar);
+
+    searchBar = createSearchBar();
+    container.appendChild(searchBar);
+    events.on('search-toggle', toggleSearch);
+
+    bookmarkStrip = document.createElement('div');
+    bookmarkStrip.className = 'ta-sticky-bookmarks';
+    container.appendChild(bookmarkStrip);
+
+    followStrip = document.createElement('div');
+    followStrip.className = 'ta-sticky-follow';
+    container.appendChild(followStrip);
+
+    rowsElement = document.createElement('div');
+    rowsElement.className = 'ta-sticky-rows';
+    container.appendChild(rowsElement);
+
     document.body.appendChild(container);
 
     // Position below Reddit header
@@ -497,43 +895,469 @@ const StickyUI = (() => {
     container.style.top = `${redditHeaderHeight}px`;
   }
 
+  /**
+   * Create a toolbar button that emits an action when clicked
+   * @param {string} label - Button text
+   * @param {string} title - Tooltip
+   * @param {string} action - Action name emitted on click
+   * @returns {Element} The button element
+   */
+  function createToolbarButton(label, title, action) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'ta-toolbar-btn';
+    button.textContent = label;
+    button.title = title;
+    button.dataset.action = action;
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      events.emit(action);
+    });
+    return button;
+  }
 
   /**
-   * Create a sticky row element for a comment
-   * @param {Element} comment - The comment element
-   * @param {number} depth - Depth in the chain (0 = top-level)
-   * @param {boolean} compact - Use compact mode
-   * @returns {Element} The row element
+   * Create the toolbar shown at the top of the sticky header
+   * @returns {Element} The toolbar element
    */
-  function createRow(comment, depth, compact) {
-    const meta = Selectors.getCommentMeta(comment);
-    const commentId = Selectors.getCommentId(comment);
+  function createToolbar() {
+    const bar = document.createElement('div');
+    bar.className = 'ta-sticky-toolbar';
+
+    const backButton = createToolbarButton('←', 'Back to previous anchor', 'back');
+    backButton.disabled = true;
+    bar.appendChild(backButton);
+
+    const forwardButton = createToolbarButton('→', 'Forward to next anchor', 'forward');
+    forwardButton.disabled = true;
+    bar.appendChild(forwardButton);
+
+    bar.appendChild(createToolbarButton('⇣', 'Jump to next unread comment', 'next-unread'));
+    bar.appendChild(createToolbarButton('⊕', 'Load more replies under anchored comment', 'load-more'));
+    bar.appendChild(createToolbarButton('☆', 'Bookmark anchored comment', 'bookmark'));
+    bar.appendChild(createToolbarButton('🔗', 'Copy link to anchored comment', 'copy-link'));
+    bar.appendChild(createToolbarButton('☰', 'Show thread outline', 'outline'));
+    bar.appendChild(createToolbarButton('🔍', 'Search this thread', 'search-toggle'));
+    bar.appendChild(createToolbarButton('👤', 'Follow author of anchored comment', 'follow-author'));
+    bar.appendChild(createToolbarButton('💬', 'Show conversation of anchored comment', 'conversation'));
+
+    return bar;
+  }
 
-    const row = document.createElement('div');
-    row.className = `ta-sticky-row${compact ? ' compact' : ''}`;
-    row.dataset.commentId = commentId || '';
+  /**
+   * Create an option toggle for the search bar
+   * @param {string} label - Button text
+   * @param {string} title - Tooltip
+   * @param {string} option - Key in searchOptions
+   * @returns {Element} The button element
+   */
+  function createSearchOption(label, title, option) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'ta-search-option';
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      searchOptions[option] = !searchOptions[option];
+      button.classList.toggle('on', searchOptions[option]);
+      emitSearch();
+    });
+    return button;
+  }
 
-    // Depth indicator (depth 1 = top-level comment, depth 2+ = nested replies)
-    const depthEl = document.createElement('span');
-    depthEl.className = 'ta-sticky-depth';
-    depthEl.textContent = `↳${depth}`;
-    row.appendChild(depthEl);
+  /**
+   * Create the search bar (input, options and result list)
+   * @returns {Element} The search bar element
+   */
+  function createSearchBar() {
+    const bar = document.createElement('div');
+    bar.className = 'ta-sticky-search';
+
+    const inputRow = document.createElement('div');
+    inputRow.className = 'ta-search-input-row';
+
+    searchInput = document.createElement('input');
+    searchInput.type = 'search';
+    searchInput.className = 'ta-search-input';
+    searchInput.placeholder = 'Search comments and authors';
+    searchInput.addEventListener('input', emitSearchDebounced);
+    searchInput.addEventListener('keydown', (e) => {
+      // Keep Reddit's and our own shortcuts out of the search box
+      e.stopPropagation();
 
-    // Meta container
-    const metaEl = document.createElement('span');
-    metaEl.className = 'ta-sticky-meta';
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        emitSearchDebounced.cancel();
+        emitSearch();
+        if (searchMatches.length > 0) events.emit('search-select', searchMatches[0].comment);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        closeSearch();
+      }
+    });
+    inputRow.appendChild(searchInput);
 
-    // Author
-    const authorEl = document.createElement('span');
-    authorEl.className = 'ta-sticky-author';
-    authorEl.textContent = meta ? meta.author : '[unknown]';
+    inputRow.appendChild(createSearchOption('.*', 'Regular expression', 'regex'));
+    inputRow.appendChild(createSearchOption('@', 'Match authors only', 'authorOnly'));
+    bar.appendChild(inputRow);
 
-    // Check for special author classes
+    searchResults = document.createElement('div');
+    searchResults.className = 'ta-search-results';
+    bar.appendChild(searchResults);
+
+    return bar;
+  }
+
+  /**
+   * Ask for results for the current query and options
+   */
+  function emitSearch() {
+    if (!searchInput) return;
+
+    const query = searchInput.value.trim();
+    if (!query) {
+      showSearchResults({ results: [], total: 0, error: null });
+      return;
+    }
+
+    events.emit('search', { query, ...searchOptions });
+  }
+
+  /**
+   * Render search results
+   * @param {Object} found - { results, total, error } as returned by Search.find,
+   *   results being { comment, author, breadcrumb, snippet }
+   */
+  function showSearchResults({ results = [], total = 0, error = null } = {}) {
+    if (!searchResults) return;
+
+    searchMatches = results;
+    searchResults.replaceChildren();
+    if (!searchInput.value.trim()) return;
+
+    const summary = document.createElement('div');
+    summary.className = 'ta-search-count';
+    if (error) {
+      summary.textContent = error;
+    } else if (total === 0) {
+      summary.textContent = 'No matches';
+    } else if (total > results.length) {
+      summary.textContent = `Showing ${results.length} of ${total} matches`;
+    } else {
+      summary.textContent = total === 1 ? '1 match' : `${total} matches`;
+    }
+    searchResults.appendChild(summary);
+
+    results.forEach(({ comment, author, breadcrumb, snippet }) => {
+      const item = document.createElement('div');
+      item.className = 'ta-search-result';
+
+      const crumbs = document.createElement('div');
+      crumbs.className = 'ta-search-breadcrumb';
+      crumbs.textContent = breadcrumb.length > 0 ? `${breadcrumb.join(' › ')} ›` : 'top level';
+      item.appendChild(crumbs);
+
+      const line = document.createElement('div');
+      line.className = 'ta-search-line';
+
+      const authorEl = document.createElement('span');
+      authorEl.className = 'ta-sticky-author';
+      authorEl.textContent = author;
+      line.appendChild(authorEl);
+
+      const snippetEl = document.createElement('span');
+      snippetEl.className = 'ta-search-snippet';
+      snippetEl.textContent = snippet;
+      line.appendChild(snippetEl);
+
+      item.appendChild(line);
+
+      item.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        events.emit('search-select', comment);
+      });
+
+      searchResults.appendChild(item);
+    });
+  }
+
+  /**
+   * Open the search bar (showing the header even if nothing is anchored)
+   */
+  function openSearch() {
+    if (!isActive || !searchBar) return;
+
+    searchBar.classList.add('open');
+    container.classList.add('visible');
+    updateContainerPosition();
+    searchInput.focus();
+    searchInput.select();
+  }
+
+  /**
+   * Close the search bar and clear its results
+   */
+  function closeSearch() {
+    if (!searchBar) return;
+
+    emitSearchDebounced.cancel();
+    searchBar.classList.remove('open');
+    searchInput.blur();
+    showSearchResults({ results: [], total: 0, error: null });
+
+    // Nothing else to show
+    if (rowsElement.childElementCount === 0) {
+      container.classList.remove('visible');
+    }
+  }
+
+  /**
+   * Open or close the search bar
+   */
+  function toggleSearch() {
+    if (searchBar && searchBar.classList.contains('open')) {
+      closeSearch();
+    } else {
+      openSearch();
+    }
+  }
+
+  /**
+   * Check if the search bar is open
+   * @returns {boolean}
+   */
+  function isSearchOpen() {
+    return !!searchBar && searchBar.classList.contains('open');
+  }
+
+  /**
+   * Create a chip for a bookmark in the bookmark strip
+   * @param {Object} bookmark - { id, comment } (comment may be null)
+   * @param {boolean} isCurrent - Whether the bookmark is the anchored comment
+   * @returns {Element} The chip element
+   */
+  function createBookmarkChip(bookmark, isCurrent) {
+    const chip = document.createElement('span');
+    chip.className = `ta-bookmark-chip${isCurrent ? ' current' : ''}`;
+
+    const meta = bookmark.comment ? Selectors.getCommentMeta(bookmark.comment) : null;
+    const label = document.createElement('span');
+    label.className = 'ta-bookmark-label';
+    label.textContent = meta ? `${meta.author}: ${meta.excerpt}` : bookmark.id;
+    chip.title = meta ? meta.excerpt : 'Comment not loaded on this page';
+    chip.appendChild(label);
+
+    if (bookmark.comment) {
+      chip.addEventListener('click', (e) => {
+        e.stopPropagation();
+        events.emit('bookmark-select', bookmark.comment);
+      });
+    } else {
+      chip.classList.add('missing');
+    }
+
+    const removeEl = document.createElement('span');
+    removeEl.className = 'ta-bookmark-remove';
+    removeEl.textContent = '×';
+    removeEl.title = 'Remove bookmark';
+    removeEl.addEventListener('click', (e) => {
+      e.stopPropagation();
+      events.emit('bookmark-remove', bookmark.id);
+    });
+    chip.appendChild(removeEl);
+
+    return chip;
+  }
+
+  /**
+   * Render the bookmark strip and the bookmark button state
+   * @param {Object[]} bookmarks - Array of { id, comment } from Bookmarks.getAll()
+   * @param {Element|null} activeComment - The anchored comment
+   */
+  function setBookmarks(bookmarks, activeComment = null) {
+    if (!toolbar || !bookmarkStrip) return;
+
+    const isBookmarked = bookmarks.some(bookmark => bookmark.comment && bookmark.comment === activeComment);
+    const button = toolbar.querySelector('[data-action="bookmark"]');
+    button.textContent = isBookmarked ? '★' : '☆';
+    button.title = isBookmarked ? 'Remove bookmark' : 'Bookmark anchored comment';
+
+    bookmarkStrip.innerHTML = '';
+    bookmarks.forEach(bookmark => {
+      const isCurrent = bookmark.comment !== null && bookmark.comment === activeComment;
+      bookmarkStrip.appendChild(createBookmarkChip(bookmark, isCurrent));
+    });
+  }
+
+  /**
+   * Show or clear the "following u/name" strip
+   * @param {Object|null} state - { author, index, count } (index is -1 when
+   *   the anchored comment isn't by the author), or null when not following
+   */
+  function setFollowState(state) {
+    if (!followStrip) return;
+
+    followStrip.innerHTML = '';
+    if (!state) return;
+
+    const label = document.createElement('span');
+    label.className = 'ta-follow-label';
+    label.textContent = `following u/${state.author}`;
+    followStrip.appendChild(label);
+
+    const position = document.createElement('span');
+    position.className = 'ta-follow-position';
+    if (state.count === 0) {
+      position.textContent = 'no comments';
+    } else if (state.index === -1) {
+      position.textContent = state.count === 1 ? '1 comment' : `${state.count} comments`;
+    } else {
+      position.textContent = `${state.index + 1} of ${state.count}`;
+    }
+    followStrip.appendChild(position);
+
+    const prevButton = createToolbarButton('‹', `Previous comment by u/${state.author}`, 'follow-prev');
+    const nextButton = createToolbarButton('›', `Next comment by u/${state.author}`, 'follow-next');
+    prevButton.disabled = nextButton.disabled = state.count === 0;
+    followStrip.appendChild(prevButton);
+    followStrip.appendChild(nextButton);
+
+    followStrip.appendChild(createToolbarButton('✕', 'Stop following', 'follow-stop'));
+  }
+
+  /**
+   * Get the toolbar status element, creating it if needed
+   * @returns {Element}
+   */
+  function getStatusElement() {
+    let status = toolbar.querySelector('.ta-toolbar-status');
+    if (!status) {
+      status = document.createElement('span');
+      status.className = 'ta-toolbar-status';
+      toolbar.insertBefore(status, toolbar.firstChild);
+    }
+    return status;
+  }
+
+  /**
+   * Show a short status message in the toolbar
+   * @param {string} message - Message to show
+   */
+  function showStatus(message) {
+    if (!toolbar) return;
+
+    const status = getStatusElement();
+    status.textContent = message;
+    clearTimeout(statusTimeout);
+    statusTimeout = setTimeout(() => {
+      status.textContent = '';
+    }, 1500);
+  }
+
+  /**
+   * Show a progress message with a cancel button in the toolbar
+   * until hideProgress (or the next showStatus) replaces it
+   * @param {string} message - Message to show
+   */
+  function showProgress(message) {
+    if (!toolbar) return;
+
+    clearTimeout(statusTimeout);
+    const status = getStatusElement();
+    status.textContent = message;
+
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'ta-toolbar-cancel';
+    cancelButton.textContent = '✕';
+    cancelButton.title = 'Cancel';
+    cancelButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      events.emit('load-more-cancel');
+    });
+    status.appendChild(cancelButton);
+  }
+
+  /**
+   * Remove the progress message from the toolbar
+   */
+  function hideProgress() {
+    if (!toolbar) return;
+
+    const status = toolbar.querySelector('.ta-toolbar-status');
+    if (status && status.querySelector('.ta-toolbar-cancel')) {
+      status.textContent = '';
+    }
+  }
+
+  /**
+   * Update the enabled state of the history buttons
+   * @param {Object} state
+   * @param {boolean} state.canGoBack
+   * @param {boolean} state.canGoForward
+   */
+  function setHistoryState({ canGoBack = false, canGoForward = false } = {}) {
+    if (!toolbar) return;
+
+    toolbar.querySelector('[data-action="back"]').disabled = !canGoBack;
+    toolbar.querySelector('[data-action="forward"]').disabled = !canGoForward;
+  }
+
+  /**
+   * Create a sticky row element for a comment
+   * @param {Element} comment - The comment element
+   * @param {number} depth - Depth in the chain (0 = top-level)
+   * @param {boolean} compact - Use compact mode
+   * @returns {Element} The row element
+   */
+  function createRow(comment, depth, compact) {
+    const meta = Selectors.getCommentMeta(comment);
+    const commentId = Selectors.getCommentId(comment);
+
+    const row = document.createElement('div');
+    row.className = `ta-sticky-row${compact ? ' compact' : ''}`;
+    row.dataset.commentId = commentId || '';
+
+    // Depth indicator (depth 1 = top-level comment, depth 2+ = nested replies)
+    const depthEl = document.createElement('span');
+    depthEl.className = 'ta-sticky-depth';
+    depthEl.textContent = `↳${depth}`;
+    row.appendChild(depthEl);
+
+    // Collapse toggle (drives Reddit's own control)
+    if (Selectors.getExpandControl(comment)) {
+      const collapseEl = document.createElement('button');
+      collapseEl.type = 'button';
+      collapseEl.className = 'ta-sticky-collapse';
+      collapseEl.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        events.emit('collapse-toggle', comment);
+      });
+      row.appendChild(collapseEl);
+      updateCollapseToggle(row, comment);
+    }
+
+    // Meta container
+    const metaEl = document.createElement('span');
+    metaEl.className = 'ta-sticky-meta';
+
+    // Author
+    const authorEl = document.createElement('span');
+    authorEl.className = 'ta-sticky-author';
+    authorEl.textContent = meta ? meta.author : '[unknown]';
+
+    // Check for special author classes
     const authorLink = comment.querySelector('.entry .author');
+    if (isSubmitter(comment)) {
+      authorEl.classList.add('op');
+    }
     if (authorLink) {
-      if (authorLink.classList.contains('submitter')) {
-        authorEl.classList.add('op');
-      }
       if (authorLink.classList.contains('admin')) {
         authorEl.classList.add('admin');
       }
@@ -542,6 +1366,17 @@ const StickyUI = (() => {
       }
     }
 
+    // Clicking the author follows them through the thread
+    if (meta && AuthorFollow.canFollow(meta.author)) {
+      authorEl.classList.add('followable');
+      authorEl.title = `Follow u/${meta.author}`;
+      authorEl.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        events.emit('follow-author', meta.author);
+      });
+    }
+
     metaEl.appendChild(authorEl);
 
     // Score
@@ -552,6 +1387,22 @@ const StickyUI = (() => {
       metaEl.appendChild(scoreEl);
     }
 
+    // Unread replies below this ancestor (when read tracking is on)
+    const unreadEl = document.createElement('span');
+    unreadEl.className = 'ta-sticky-unread';
+    metaEl.appendChild(unreadEl);
+    updateUnreadBadge(unreadEl, comment);
+
+    // The submitter answered somewhere in this ancestor's subtree
+    const opBelowEl = document.createElement('span');
+    opBelowEl.className = 'ta-sticky-op-below';
+    metaEl.appendChild(opBelowEl);
+    updateOpBelowBadge(opBelowEl, comment);
+
+    // Position among siblings, with prev/next to move sideways
+    const siblingsEl = createSiblingNav(comment);
+    if (siblingsEl) metaEl.appendChild(siblingsEl);
+
     // Time (only in non-compact mode)
     if (!compact && meta && meta.time) {
       const timeEl = document.createElement('span');
@@ -570,6 +1421,21 @@ const StickyUI = (() => {
       row.appendChild(excerptEl);
     }
 
+    // Show the exchange between this reply's author and its parent's
+    if (depth > 1) {
+      const conversationEl = document.createElement('a');
+      conversationEl.className = 'ta-sticky-jump ta-sticky-conversation';
+      conversationEl.href = '#';
+      conversationEl.textContent = '💬';
+      conversationEl.title = 'Show conversation with parent comment';
+      conversationEl.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        events.emit('conversation', comment);
+      });
+      row.appendChild(conversationEl);
+    }
+
     // Jump link
     const jumpEl = document.createElement('a');
     jumpEl.className = 'ta-sticky-jump';
@@ -592,6 +1458,217 @@ const StickyUI = (() => {
     return row;
   }
 
+  /**
+   * Create a row for an ancestor that is no longer on the page
+   * (captured before "continue this thread" navigation)
+   * @param {Object} ghost - { id, author, score, excerpt, permalink }
+   * @param {number} depth - Depth in the chain
+   * @param {boolean} compact - Use compact mode
+   * @returns {Element} The row element
+   */
+  function createGhostRow(ghost, depth, compact) {
+    const row = document.createElement('div');
+    row.className = `ta-sticky-row ta-ghost-row${compact ? ' compact' : ''}`;
+    row.dataset.commentId = ghost.id;
+    row.title = 'Not on this page';
+
+    const depthEl = document.createElement('span');
+    depthEl.className = 'ta-sticky-depth';
+    depthEl.textContent = `↳${depth}`;
+    row.appendChild(depthEl);
+
+    const metaEl = document.createElement('span');
+    metaEl.className = 'ta-sticky-meta';
+
+    const authorEl = document.createElement('span');
+    authorEl.className = 'ta-sticky-author';
+    authorEl.textContent = ghost.author;
+    metaEl.appendChild(authorEl);
+
+    if (ghost.score) {
+      const scoreEl = document.createElement('span');
+      scoreEl.className = 'ta-sticky-score';
+      scoreEl.textContent = ghost.score;
+      metaEl.appendChild(scoreEl);
+    }
+
+    row.appendChild(metaEl);
+
+    if (ghost.excerpt) {
+      const excerptEl = document.createElement('span');
+      excerptEl.className = 'ta-sticky-excerpt';
+      excerptEl.textContent = ghost.excerpt;
+      row.appendChild(excerptEl);
+    }
+
+    // Link back to the comment's own page
+    if (ghost.permalink) {
+      const jumpEl = document.createElement('a');
+      jumpEl.className = 'ta-sticky-jump';
+      jumpEl.href = ghost.permalink;
+      jumpEl.textContent = '↗';
+      jumpEl.title = 'Open comment';
+      jumpEl.addEventListener('click', (e) => e.stopPropagation());
+      row.appendChild(jumpEl);
+    }
+
+    return row;
+  }
+
+  /**
+   * Create the "reply N of M" sibling navigator for a row
+   * @param {Element} comment - The row's comment element
+   * @returns {Element|null} The navigator element, or null for an only child
+   */
+  function createSiblingNav(comment) {
+    const position = Ancestors.getSiblingPosition(comment);
+    if (!position || position.count < 2) return null;
+
+    const { index, count, siblings } = position;
+
+    const nav = document.createElement('span');
+    nav.className = 'ta-sticky-siblings';
+
+    const prevButton = createSiblingButton('‹', 'Previous sibling', siblings[index - 1]);
+    const label = document.createElement('span');
+    label.textContent = `reply ${index + 1} of ${count}`;
+    const nextButton = createSiblingButton('›', 'Next sibling', siblings[index + 1]);
+
+    nav.appendChild(prevButton);
+    nav.appendChild(label);
+    nav.appendChild(nextButton);
+    return nav;
+  }
+
+  /**
+   * Create a sibling navigator button that emits 'sibling-select'
+   * @param {string} label - Button text
+   * @param {string} title - Tooltip
+   * @param {Element|undefined} sibling - Target sibling (disabled if missing)
+   * @returns {Element} The button element
+   */
+  function createSiblingButton(label, title, sibling) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'ta-sticky-sibling-btn';
+    button.textContent = label;
+    button.title = title;
+    button.disabled = !sibling;
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (sibling) events.emit('sibling-select', sibling);
+    });
+    return button;
+  }
+
+  /**
+   * Sync a row's collapse toggle with the comment's collapsed state
+   * @param {Element} row - The row element
+   * @param {Element} comment - The row's comment element
+   */
+  function updateCollapseToggle(row, comment) {
+    const toggle = row.querySelector('.ta-sticky-collapse');
+    if (!toggle) return;
+
+    const collapsed = Selectors.isCollapsed(comment);
+    toggle.textContent = collapsed ? '[+]' : '[–]';
+    toggle.title = collapsed ? 'Expand comment' : 'Collapse comment';
+    row.classList.toggle('collapsed', collapsed);
+  }
+
+  /**
+   * Watch the rendered comments so their rows follow collapse/expand
+   * done through Reddit's own controls
+   */
+  function observeCollapseState() {
+    stopObservingCollapseState();
+    if (renderedRows.length === 0) return;
+
+    collapseObserver = new MutationObserver(() => {
+      renderedRows.forEach(({ row, comment }) => updateCollapseToggle(row, comment));
+    });
+
+    // Old Reddit toggles the "collapsed" class, new Reddit the "collapsed" attribute
+    renderedRows.forEach(({ comment }) => {
+      collapseObserver.observe(comment, { attributes: true, attributeFilter: ['class', 'collapsed'] });
+    });
+  }
+
+  /**
+   * Stop watching rendered comments for collapse changes
+   */
+  function stopObservingCollapseState() {
+    if (collapseObserver) {
+      collapseObserver.disconnect();
+      collapseObserver = null;
+    }
+  }
+
+  /**
+   * Update a row's unread badge from the read state
+   * @param {Element} badge - The badge element
+   * @param {Element} comment - The row's comment element
+   */
+  function updateUnreadBadge(badge, comment) {
+    const unread = typeof ReadState !== 'undefined' ? ReadState.getUnreadCount(comment) : null;
+
+    badge.textContent = unread ? `${unread} unread` : '';
+    badge.title = unread ? `${unread} unread replies below this comment` : '';
+    badge.style.display = unread ? '' : 'none';
+  }
+
+  /**
+   * Check if a comment was written by the submitter (OP)
+   * @param {Element} comment - Comment element
+   * @returns {boolean}
+   */
+  function isSubmitter(comment) {
+    if (typeof OpReplies !== 'undefined') return OpReplies.isSubmitterComment(comment);
+
+    const authorLink = comment.querySelector('.entry .author');
+    return !!authorLink && authorLink.classList.contains('submitter');
+  }
+
+  /**
+   * Update a row's "OP replied below" badge
+   * @param {Element} badge - The badge element
+   * @param {Element} comment - The row's comment
+   */
+  function updateOpBelowBadge(badge, comment) {
+    const hasReply = typeof OpReplies !== 'undefined' && OpReplies.hasReplyBelow(comment);
+
+    badge.textContent = hasReply ? 'OP replied below' : '';
+    badge.title = hasReply ? 'The submitter replied somewhere under this comment' : '';
+    badge.style.display = hasReply ? '' : 'none';
+  }
+
+  /**
+   * Refresh the OP reply counter and the rows' "OP replied below" badges
+   * (e.g. after comments were loaded)
+   */
+  function refreshOpReplies() {
+    if (!rowsElement) return;
+
+    const counter = rowsElement.querySelector('.ta-op-row .ta-sticky-opreplies');
+    if (counter) updateOpRepliesBadge(counter);
+
+    renderedRows.forEach(({ row, comment }) => {
+      const badge = row.querySelector('.ta-sticky-op-below');
+      if (badge) updateOpBelowBadge(badge, comment);
+    });
+  }
+
+  /**
+   * Refresh the unread badges of the rendered rows (e.g. after comments were read)
+   */
+  function refreshUnreadCounts() {
+    renderedRows.forEach(({ row, comment }) => {
+      const badge = row.querySelector('.ta-sticky-unread');
+      if (badge) updateUnreadBadge(badge, comment);
+    });
+  }
+
   /**
    * Create a sticky row element for the original post (OP)
    * @param {Object} opMeta - The OP metadata from Selectors.getOriginalPost()
@@ -637,6 +1714,28 @@ const StickyUI = (() => {
       metaEl.appendChild(scoreEl);
     }
 
+    // New comments since the last visit, with prev/next controls
+    const newEl = document.createElement('span');
+    newEl.className = 'ta-sticky-new';
+    newEl.appendChild(createNewNavButton('‹', 'Previous new comment', 'new-prev'));
+    const newCountEl = document.createElement('span');
+    newCountEl.className = 'ta-sticky-new-count';
+    newEl.appendChild(newCountEl);
+    newEl.appendChild(createNewNavButton('›', 'Next new comment', 'new-next'));
+    metaEl.appendChild(newEl);
+    updateNewBadge(newEl);
+
+    // The submitter's own comments in the thread, with prev/next controls
+    const opRepliesEl = document.createElement('span');
+    opRepliesEl.className = 'ta-sticky-new ta-sticky-opreplies';
+    opRepliesEl.appendChild(createNewNavButton('‹', 'Previous comment by OP', 'op-prev'));
+    const opCountEl = document.createElement('span');
+    opCountEl.className = 'ta-sticky-new-count';
+    opRepliesEl.appendChild(opCountEl);
+    opRepliesEl.appendChild(createNewNavButton('›', 'Next comment by OP', 'op-next'));
+    metaEl.appendChild(opRepliesEl);
+    updateOpRepliesBadge(opRepliesEl);
+
     row.appendChild(metaEl);
 
     // Title (as excerpt)
@@ -676,23 +1775,135 @@ const StickyUI = (() => {
   }
 
   /**
-   * Scroll to a comment
+   * Create a prev/next button for the OP row's counters
+   * @param {string} label - Button text
+   * @param {string} title - Tooltip
+   * @param {string} action - Action name emitted on click
+   * @returns {Element} The button element
+   */
+  function createNewNavButton(label, title, action) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'ta-sticky-new-btn';
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      events.emit(action);
+    });
+    return button;
+  }
+
+  /**
+   * Update the OP row's "N new" counter from NewComments
+   * @param {Element} badge - The counter element
+   */
+  function updateNewBadge(badge) {
+    const count = typeof NewComments !== 'undefined' ? NewComments.getCount() : 0;
+
+    badge.querySelector('.ta-sticky-new-count').textContent = count ? `${count} new` : '';
+    badge.title = count ? `${count} comments new since your last visit` : '';
+    badge.style.display = count ? '' : 'none';
+  }
+
+  /**
+   * Update the OP row's counter of comments by the submitter
+   * @param {Element} badge - The counter element
+   */
+  function updateOpRepliesBadge(badge) {
+    const count = typeof OpReplies !== 'undefined' ? OpReplies.getCount() : 0;
+
+    badge.querySelector('.ta-sticky-new-count').textContent = count ? `OP: ${count}` : '';
+    badge.title = count ? `The submitter commented ${count} times in this thread` : '';
+    badge.style.display = count ? '' : 'none';
+  }
+
+  /**
+   * Refresh the OP row's new comment counter (e.g. after NewComments loaded)
+   */
+  function refreshNewCount() {
+    if (!rowsElement) return;
+
+    const badge = rowsElement.querySelector('.ta-op-row .ta-sticky-new');
+    if (badge) updateNewBadge(badge);
+  }
+
+  /**
+   * Expand a comment and any collapsed ancestors by clicking Reddit's
+   * own expand controls, top-level first
+   * @param {Element} comment - The comment element
+   * @returns {boolean} True if anything was expanded
+   */
+  function expandCollapsedChain(comment) {
+    let expanded = false;
+
+    Ancestors.computeAncestors(comment).forEach(el => {
+      if (!Selectors.isCollapsed(el)) return;
+
+      const control = Selectors.getExpandControl(el);
+      if (control) {
+        control.click();
+        expanded = true;
+      }
+    });
+
+    return expanded;
+  }
+
+  /**
+   * Wait until a comment's position stops changing between frames
+   * (e.g. after Reddit re-renders expanded comments), up to a timeout
+   * @param {Element} comment - The comment element
+   * @param {Function} callback - Called once layout has settled
+   */
+  function whenLayoutSettles(comment, callback) {
+    const deadline = Date.now() + LAYOUT_SETTLE_TIMEOUT;
+    let lastTop = null;
+
+    const check = () => {
+      const rect = comment.getBoundingClientRect();
+      const settled = rect.height > 0 && rect.top === lastTop;
+
+      if (settled || Date.now() >= deadline) {
+        callback();
+        return;
+      }
+      lastTop = rect.top;
+      Util.raf(check);
+    };
+
+    Util.raf(check);
+  }
+
+  /**
+   * Scroll to a comment, expanding it and its ancestors first if
+   * any of them are collapsed
    * @param {Element} comment - The comment element
    */
   function scrollToComment(comment) {
     if (!comment || !document.contains(comment)) return;
 
-    // Calculate offset (sticky header + Reddit header)
-    const stickyHeight = container ? container.offsetHeight : 0;
-    const offset = redditHeaderHeight + stickyHeight + 10;
+    const jump = ++scrollRequest;
 
-    Util.scrollToElement(comment, {
-      behavior: 'smooth',
-      offset: offset
-    });
+    const reveal = () => {
+      // A newer jump has started in the meantime
+      if (jump !== scrollRequest || !document.contains(comment)) return;
+
+      Util.scrollToElement(comment, {
+        behavior: 'smooth',
+        offset: getScrollOffset()
+      });
 
-    // Briefly highlight the comment
-    highlightComment(comment);
+      // Briefly highlight the comment
+      highlightComment(comment);
+    };
+
+    if (expandCollapsedChain(comment)) {
+      whenLayoutSettles(comment, reveal);
+    } else {
+      reveal();
+    }
   }
 
   /**
@@ -719,8 +1930,10 @@ const StickyUI = (() => {
    * @param {boolean} compact - Use compact mode
    * @param {Element|null} activeComment - The currently active comment (for highlighting)
    * @param {Object|null} opMeta - Original post metadata (always shown as level 0)
+   * @param {Object[]} ghosts - Ancestors no longer in the DOM, shown above the chain
+   *   ({ id, author, score, excerpt, permalink })
    */
-  function render(chain, depth, compact, activeComment = null, opMeta = null) {
+  function render(chain, depth, compact, activeComment = null, opMeta = null, ghosts = []) {
     if (!isActive || !container) return;
 
     // Update config
@@ -729,11 +1942,13 @@ const StickyUI = (() => {
 
     // Get the ancestors to display (up to depth, from the chain)
     // Note: depth applies to comment ancestors only, OP is always shown
-    const displayChain = chain.slice(0, depth);
+    const displayGhosts = ghosts.slice(0, depth);
+    const displayChain = chain.slice(0, depth - displayGhosts.length);
 
     // Build chain ID including OP and compact state
     const opId = opMeta ? (opMeta.postId || 'op') : '';
-    const commentIds = displayChain.map(c => Selectors.getCommentId(c)).join(',');
+    const commentIds = displayGhosts.map(g => g.id)
+      .concat(displayChain.map(c => Selectors.getCommentId(c))).join(',');
     const newChainKey = `${opId}|${commentIds}|${compact}`;
 
     if (newChainKey === currentChainIds.join('') && container.classList.contains('visible')) {
@@ -743,27 +1958,37 @@ const StickyUI = (() => {
     }
     currentChainIds = [newChainKey];
 
-    // Clear container
-    container.innerHTML = '';
+    // Clear rows (the toolbar is kept)
+    rowsElement.innerHTML = '';
+    renderedRows = [];
 
     // Always render OP row first (if available)
     if (opMeta) {
       const opRow = createOPRow(opMeta, compact);
-      container.appendChild(opRow);
+      rowsElement.appendChild(opRow);
     }
 
+    // Ghost rows for ancestors that are no longer on the page
+    displayGhosts.forEach((ghost, index) => {
+      rowsElement.appendChild(createGhostRow(ghost, index + 1, compact));
+    });
+
     // Create rows for each ancestor comment (starting at depth 1 since OP is depth 0)
     displayChain.forEach((comment, index) => {
-      const row = createRow(comment, index + 1, compact);
-      container.appendChild(row);
+      const row = createRow(comment, displayGhosts.length + index + 1, compact);
+      rowsElement.appendChild(row);
+      renderedRows.push({ row, comment });
     });
 
     // If we only have OP and no ancestors, still show the sticky header
-    if (!opMeta && displayChain.length === 0) {
+    if (!opMeta && displayChain.length === 0 && displayGhosts.length === 0) {
       hide();
       return;
     }
 
+    // Keep collapse toggles in sync with native toggling
+    observeCollapseState();
+
     // Highlight the active comment
     updateActiveHighlight(activeComment);
 
@@ -813,8 +2038,13 @@ const StickyUI = (() => {
   function hide(activeComment = null) {
     if (!container) return;
 
-    container.classList.remove('visible');
-    container.innerHTML = '';
+    // Keep the header up while the search bar is in use
+    if (!isSearchOpen()) {
+      container.classList.remove('visible');
+    }
+    stopObservingCollapseState();
+    rowsElement.innerHTML = '';
+    renderedRows = [];
     currentChainIds = [];
 
     // Update active highlight (maintain highlight on active comment even when header is hidden)
@@ -861,6 +2091,7 @@ const StickyUI = (() => {
 
     // Remove event listeners
     window.removeEventListener('scroll', updateContainerPosition);
+    stopObservingCollapseState();
 
     // Remove active highlight and icon
     if (currentActiveComment) {
@@ -877,6 +2108,20 @@ const StickyUI = (() => {
       container.parentNode.removeChild(container);
     }
     container = null;
+    toolbar = null;
+    bookmarkStrip = null;
+    followStrip = null;
+    rowsElement = null;
+    renderedRows = [];
+    searchBar = null;
+    searchInput = null;
+    searchResults = null;
+    searchMatches = [];
+    emitSearchDebounced.cancel();
+
+    // Drop action listeners (re-registered on next init)
+    events.clear();
+    clearTimeout(statusTimeout);
 
     // Remove styles
     removeStyles();
@@ -887,6 +2132,14 @@ const StickyUI = (() => {
     console.log('[StickyUI] Destroyed');
   }
 
+  /**
+   * Force the next render to rebuild the rows (e.g. after a rendered
+   * comment's score or text changed)
+   */
+  function invalidate() {
+    currentChainIds = [];
+  }
+
   /**
    * Check if the sticky UI is currently visible
    * @returns {boolean}
@@ -903,15 +2156,52 @@ const StickyUI = (() => {
     return container ? container.offsetHeight : 0;
   }
 
+  /**
+   * Get the viewport offset below which content is not covered
+   * (Reddit header + sticky header + a small gap)
+   * @returns {number}
+   */
+  function getScrollOffset() {
+    return redditHeaderHeight + getHeight() + 10;
+  }
+
+  /**
+   * Get the viewport offset below the tallest the sticky header can get
+   * (unlike getScrollOffset, it doesn't change with the chain shown)
+   * @returns {number}
+   */
+  function getMaxScrollOffset() {
+    return redditHeaderHeight + window.innerHeight * MAX_HEIGHT_RATIO + 10;
+  }
+
   // Public API
   return {
     init,
     destroy,
     render,
+    invalidate,
     hide,
     isVisible,
     getHeight,
+    getScrollOffset,
+    getMaxScrollOffset,
+    scrollToComment,
     updateContainerPosition,
-    setTheme
+    setTheme,
+    setHistoryState,
+    setBookmarks,
+    setFollowState,
+    refreshUnreadCounts,
+    refreshNewCount,
+    refreshOpReplies,
+    showStatus,
+    showProgress,
+    hideProgress,
+    showSearchResults,
+    openSearch,
+    closeSearch,
+    isSearchOpen,
+    on: events.on,
+    off: events.off
   };
 })();
@@ -0,0 +1,243 @@
+/**
+ * threadStore.js - Per-thread persistent state in chrome.storage.local
+ *
+ * Each thread (post ID) gets one record, e.g. { anchor: 't1_abc123' }.
+ * An index of post ID -> last use time (read or update) keeps storage
+ * bounded: threads not used for MAX_AGE are expired, only the MAX_THREADS
+ * most recently used threads are kept, and least recently used threads
+ * are evicted whenever total usage goes over MAX_BYTES. Reads update the
+ * index in batches, so opening a thread costs one index write at most.
+ */
+
+const ThreadStore = (() => {
+  // Storage key prefix for thread records
+  const KEY_PREFIX = 'thread:';
+
+  // Storage key for the index (postId -> last used)
+  const INDEX_KEY = 'threadIndex';
+
+  // Records not used for this long are dropped (30 days)
+  const MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+  // Maximum number of threads kept
+  const MAX_THREADS = 200;
+
+  // Total storage budget, well under chrome.storage.local's 10 MB quota
+  const MAX_BYTES = 4 * 1024 * 1024;
+
+  // Delay for batching the index updates of reads (ms)
+  const TOUCH_DELAY = 1000;
+
+  // Serialize read-modify-write operations within this page
+  let queue = Promise.resolve();
+
+  // Threads read since the index was last written, and the pending write
+  const touched = new Set();
+  let touchTimer = null;
+
+  /**
+   * Run an operation after all previously queued ones
+   * @param {Function} fn - Async operation
+   * @returns {Promise<*>} Result of the operation
+   */
+  function enqueue(fn) {
+    const result = queue.then(fn);
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Get the storage key for a thread
+   * @param {string} postId - Post ID (e.g., "t3_abc123")
+   * @returns {string}
+   */
+  function keyFor(postId) {
+    return KEY_PREFIX + postId;
+  }
+
+  /**
+   * Read the index of stored threads
+   * @returns {Promise<Object>} Map of postId -> last used time
+   */
+  async function readIndex() {
+    const stored = await chrome.storage.local.get(INDEX_KEY);
+    return stored[INDEX_KEY] || {};
+  }
+
+  /**
+   * Drop expired threads and the least recently used ones beyond the cap
+   * @param {Object} index - Map of postId -> last used time (modified in place)
+   * @returns {string[]} Post IDs that were removed
+   */
+  function evict(index) {
+    const now = Date.now();
+    const byAge = Object.entries(index).sort((a, b) => b[1] - a[1]);
+
+    const removed = byAge
+      .filter(([, lastUsed], i) => i >= MAX_THREADS || now - lastUsed > MAX_AGE)
+      .map(([postId]) => postId);
+
+    removed.forEach(postId => delete index[postId]);
+    return removed;
+  }
+
+  /**
+   * Evict least recently used threads until storage is under MAX_BYTES.
+   * The most recently used thread is always kept.
+   * @param {Object} index - Map of postId -> last used time (modified in place)
+   * @returns {Promise<boolean>} True if anything was evicted
+   */
+  async function enforceByteBudget(index) {
+    let bytes = await chrome.storage.local.getBytesInUse(null);
+    if (bytes <= MAX_BYTES) return false;
+
+    const oldestFirst = Object.entries(index)
+      .sort((a, b) => a[1] - b[1])
+      .map(([postId]) => postId);
+
+    while (bytes > MAX_BYTES && oldestFirst.length > 1) {
+      // Evict in batches of ~10% to limit storage round trips
+      const batch = oldestFirst.splice(0, Math.min(
+        oldestFirst.length - 1,
+        Math.max(1, Math.ceil(oldestFirst.length / 10))
+      ));
+      batch.forEach(postId => delete index[postId]);
+      await chrome.storage.local.remove(batch.map(keyFor));
+      bytes = await chrome.storage.local.getBytesInUse(null);
+    }
+
+    console.log('[ThreadStore] Evicted threads to stay under storage budget');
+    return true;
+  }
+
+  /**
+   * Write the last used time of the threads read since the last write
+   * @returns {Promise<void>}
+   */
+  async function flushTouched() {
+    const postIds = Array.from(touched);
+    touched.clear();
+
+    try {
+      const index = await readIndex();
+      const now = Date.now();
+
+      // Threads evicted in the meantime stay evicted
+      const present = postIds.filter(postId => postId in index);
+      if (present.length === 0) return;
+
+      present.forEach(postId => { index[postId] = now; });
+      await chrome.storage.local.set({ [INDEX_KEY]: index });
+    } catch (error) {
+      console.error('[ThreadStore] Failed to record thread use:', error);
+    }
+  }
+
+  /**
+   * Mark a thread as used; the index is written after TOUCH_DELAY
+   * together with the other threads read meanwhile
+   * @param {string} postId - Post ID
+   */
+  function touch(postId) {
+    touched.add(postId);
+    if (touchTimer) return;
+
+    touchTimer = setTimeout(() => {
+      touchTimer = null;
+      enqueue(flushTouched);
+    }, TOUCH_DELAY);
+  }
+
+  /**
+   * Get the stored record for a thread (and mark the thread as used)
+   * @param {string} postId - Post ID
+   * @returns {Promise<Object>} The record ({} if none or expired)
+   */
+  function get(postId) {
+    return enqueue(async () => {
+      try {
+        const key = keyFor(postId);
+        const [stored, index] = await Promise.all([
+          chrome.storage.local.get(key),
+          readIndex()
+        ]);
+        const record = stored[key];
+        if (!record) return {};
+
+        const lastUsed = index[postId] || record.updatedAt;
+        if (Date.now() - lastUsed > MAX_AGE) return {};
+
+        touch(postId);
+        return record;
+      } catch (error) {
+        console.error('[ThreadStore] Failed to read thread:', error);
+        return {};
+      }
+    });
+  }
+
+  /**
+   * Merge fields into a thread's record. Fields set to null are removed.
+   * @param {string} postId - Post ID
+   * @param {Object} patch - Fields to update
+   * @returns {Promise<void>}
+   */
+  function update(postId, patch) {
+    return enqueue(async () => {
+      try {
+        const key = keyFor(postId);
+        const [stored, index] = await Promise.all([
+          chrome.storage.local.get(key),
+          readIndex()
+        ]);
+
+        const record = { ...(stored[key] || {}), ...patch };
+        for (const field of Object.keys(patch)) {
+          if (patch[field] === null) delete record[field];
+        }
+        record.updatedAt = Date.now();
+        index[postId] = record.updatedAt;
+
+        const removed = evict(index);
+        await chrome.storage.local.set({ [key]: record, [INDEX_KEY]: index });
+        if (removed.length > 0) {
+          await chrome.storage.local.remove(removed.map(keyFor));
+        }
+
+        if (await enforceByteBudget(index)) {
+          await chrome.storage.local.set({ [INDEX_KEY]: index });
+        }
+      } catch (error) {
+        console.error('[ThreadStore] Failed to update thread:', error);
+      }
+    });
+  }
+
+  /**
+   * Pack comment IDs into a compact string for storage
+   * ("t1_abc,t1_def" -> "abc,def")
+   * @param {Iterable<string>} ids - Comment IDs
+   * @returns {string}
+   */
+  function packIds(ids) {
+    return Array.from(ids, id => id.replace(/^t1_/, '')).join(',');
+  }
+
+  /**
+   * Unpack comment IDs packed with packIds
+   * @param {string|undefined} packed - Packed IDs
+   * @returns {string[]} Comment IDs
+   */
+  function unpackIds(packed) {
+    if (!packed) return [];
+    return packed.split(',').map(id => 't1_' + id);
+  }
+
+  // Public API
+  return {
+    get,
+    update,
+    packIds,
+    unpackIds
+  };
+})();
@@ -155,6 +155,59 @@ const Util = (() => {
     );
   }
 
+  /**
+   * Check if an element accepts text input (form fields, rich text editors)
+   * @param {Element} el - Element to check
+   * @returns {boolean}
+   */
+  function isEditableElement(el) {
+    if (!el || !(el instanceof Element)) return false;
+    if (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT') return true;
+    return el.isContentEditable;
+  }
+
+  /**
+   * Normalize a username for comparison (usernames are case-insensitive)
+   * @param {string} name - Username, with or without the u/ prefix
+   * @returns {string}
+   */
+  function normalizeUsername(name) {
+    return (name || '').replace(/^u\//i, '').toLowerCase();
+  }
+
+  /**
+   * Get the element of a list after another in document order (wrapping around)
+   * @param {Element[]} list - Elements in document order
+   * @param {Element|null} current - Element to start from
+   * @returns {Element|null} First element when current is null; null for an empty list
+   */
+  function nextInDocument(list, current) {
+    if (list.length === 0) return null;
+    if (!current) return list[0];
+
+    const following = list.find(el =>
+      el !== current &&
+      (current.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING));
+    return following || list[0];
+  }
+
+  /**
+   * Get the element of a list before another in document order (wrapping around).
+   * An ancestor of current counts as before it, so this undoes nextInDocument.
+   * @param {Element[]} list - Elements in document order
+   * @param {Element|null} current - Element to start from
+   * @returns {Element|null} Last element when current is null; null for an empty list
+   */
+  function prevInDocument(list, current) {
+    if (list.length === 0) return null;
+    if (!current) return list[list.length - 1];
+
+    const preceding = list.filter(el =>
+      el !== current &&
+      (current.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_PRECEDING));
+    return preceding[preceding.length - 1] || list[list.length - 1];
+  }
+
   /**
    * Scroll to an element smoothly
    * @param {Element} el - Element to scroll to
@@ -188,7 +241,9 @@ const Util = (() => {
   // Performance metrics storage
   const perfMetrics = {
     enabled: false,
-    samples: new Map()
+    samples: new Map(),
+    // Cache name -> { hits, misses }
+    caches: new Map()
   };
 
   /**
@@ -199,6 +254,7 @@ const Util = (() => {
     perfMetrics.enabled = enabled;
     if (!enabled) {
       perfMetrics.samples.clear();
+      perfMetrics.caches.clear();
     }
   }
 
@@ -248,6 +304,110 @@ const Util = (() => {
     }
   }
 
+  /**
+   * Record a cache lookup for a named cache
+   * @param {string} name - Cache name
+   * @param {boolean} hit - Whether the lookup was a hit
+   */
+  function perfCacheAccess(name, hit) {
+    if (!perfMetrics.enabled) return;
+
+    if (!perfMetrics.caches.has(name)) {
+      perfMetrics.caches.set(name, { hits: 0, misses: 0 });
+    }
+
+    const counts = perfMetrics.caches.get(name);
+    if (hit) {
+      counts.hits++;
+    } else {
+      counts.misses++;
+    }
+  }
+
+  /**
+   * Get hit/miss statistics for all caches
+   * @returns {Object[]} Array of { name, hits, misses, hitRate }
+   */
+  function perfCacheStats() {
+    const stats = [];
+    for (const [name, { hits, misses }] of perfMetrics.caches) {
+      const total = hits + misses;
+      stats.push({
+        name,
+        hits,
+        misses,
+        hitRate: total > 0 ? (hits / total * 100).toFixed(1) + '%' : '-'
+      });
+    }
+    return stats;
+  }
+
+  /**
+   * Create a resettable WeakMap-backed cache. Lookups through has()
+   * are counted as hits/misses under the cache's name (see perfCacheStats).
+   * @param {string} name - Cache name for the perf counters
+   * @param {Object} options - Options
+   * @param {Function} options.isValid - Optional check for cached values;
+   *   values failing it are dropped and counted as misses
+   * @returns {Object} Cache with has, get, set, delete and clear
+   */
+  function createCache(name, options = {}) {
+    const { isValid = null } = options;
+    let map = new WeakMap();
+
+    return {
+      has(key) {
+        let hit = map.has(key);
+        if (hit && isValid && !isValid(map.get(key))) {
+          map.delete(key);
+          hit = false;
+        }
+        perfCacheAccess(name, hit);
+        return hit;
+      },
+      get(key) {
+        return map.get(key);
+      },
+      set(key, value) {
+        map.set(key, value);
+      },
+      delete(key) {
+        map.delete(key);
+      },
+      clear() {
+        // WeakMaps can't be emptied, so start a fresh one
+        map = new WeakMap();
+      }
+    };
+  }
+
+  /**
+   * Create a stylesheet that a module adds to the page while it's active
+   * @param {string} id - ID of the style element
+   * @param {string} css - Stylesheet text
+   * @returns {Object} Stylesheet with inject and remove
+   */
+  function createStyleSheet(id, css) {
+    let element = null;
+
+    return {
+      inject() {
+        if (element) return;
+
+        element = document.createElement('style');
+        element.id = id;
+        element.textContent = css;
+        document.head.appendChild(element);
+      },
+      remove() {
+        if (element && element.parentNode) {
+          element.parentNode.removeChild(element);
+        }
+        element = null;
+      }
+    };
+  }
+
   /**
    * Get performance statistics for a named operation
    * @param {string} name - Operation name
@@ -291,13 +451,15 @@ const Util = (() => {
    */
   function perfLog() {
     const stats = perfAllStats();
-    if (stats.length === 0) {
+    const cacheStats = perfCacheStats();
+    if (stats.length === 0 && cacheStats.length === 0) {
       console.log('[Perf] No metrics collected. Enable with Util.setPerfEnabled(true)');
       return;
     }
 
     console.group('[Perf] Thread Anchor Performance Metrics');
-    console.table(stats);
+    if (stats.length > 0) console.table(stats);
+    if (cacheStats.length > 0) console.table(cacheStats);
     console.groupEnd();
   }
 
@@ -306,6 +468,7 @@ const Util = (() => {
    */
   function perfClear() {
     perfMetrics.samples.clear();
+    perfMetrics.caches.clear();
   }
 
   // Public API
@@ -317,13 +480,21 @@ const Util = (() => {
     createEmitter,
     clamp,
     isInViewport,
+    isEditableElement,
+    normalizeUsername,
+    nextInDocument,
+    prevInDocument,
     scrollToElement,
+    createCache,
+    createStyleSheet,
     // Performance utilities
     setPerfEnabled,
     perfStart,
     perfMeasure,
     perfStats,
     perfAllStats,
+    perfCacheAccess,
+    perfCacheStats,
     perfLog,
     perfClear
   };
@@ -4,29 +4,74 @@ const DEFAULTS = {
   stickyDepth: 20,
   stickyCompact: true,
   stickyTheme: 'dark',
+  trackingMode: 'click',
+  restoreAnchorEnabled: true,
+  readTrackingEnabled: true,
+  readMarkersEnabled: false,
+  loadMoreLimit: 10,
+  fetchAncestorsEnabled: true,
+  minimapEnabled: true,
+  newCommentsEnabled: true,
   manualColors: {
     bg: '#1e3a5f',
     text: '#e8f1f5',
     accent: '#4ecdc4',
     author: '#7fdbda'
+  },
+  keyboardNavEnabled: true,
+  keyBindings: {
+    nextSibling: 'j',
+    prevSibling: 'k',
+    parent: 'p',
+    firstChild: 'c',
+    nextTopLevel: 'n',
+    toggleBookmark: 'b',
+    nextBookmark: 'm',
+    nextUnread: 'u',
+    search: '/',
+    followAuthor: 'f',
+    nextOpReply: 'o',
+    showConversation: 'v',
+    toggleOutline: 't'
   }
 };
 
+// Keys that only modify other key presses
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'AltGraph', 'Meta', 'CapsLock', 'Fn', 'OS'];
+
 // DOM elements
 const elements = {
   stickyAncestors: document.getElementById('stickyAncestors'),
   stickyDepth: document.getElementById('stickyDepth'),
   depthValue: document.getElementById('depthValue'),
   depthRow: document.getElementById('depthRow'),
+  loadMoreLimit: document.getElementById('loadMoreLimit'),
+  loadMoreLimitValue: document.getElementById('loadMoreLimitValue'),
+  loadMoreLimitRow: document.getElementById('loadMoreLimitRow'),
+  fetchAncestors: document.getElementById('fetchAncestors'),
+  fetchAncestorsRow: document.getElementById('fetchAncestorsRow'),
+  minimap: document.getElementById('minimap'),
+  minimapRow: document.getElementById('minimapRow'),
   stickyCompact: document.getElementById('stickyCompact'),
   compactRow: document.getElementById('compactRow'),
   stickyTheme: document.getElementById('stickyTheme'),
   themeRow: document.getElementById('themeRow'),
+  trackingMode: document.getElementById('trackingMode'),
+  trackingModeRow: document.getElementById('trackingModeRow'),
+  restoreAnchor: document.getElementById('restoreAnchor'),
+  restoreAnchorRow: document.getElementById('restoreAnchorRow'),
   manualColorsRow: document.getElementById('manualColorsRow'),
   colorBg: document.getElementById('colorBg'),
   colorText: document.getElementById('colorText'),
   colorAccent: document.getElementById('colorAccent'),
   colorAuthor: document.getElementById('colorAuthor'),
+  readTracking: document.getElementById('readTracking'),
+  readMarkers: document.getElementById('readMarkers'),
+  readMarkersRow: document.getElementById('readMarkersRow'),
+  newComments: document.getElementById('newComments'),
+  keyboardNav: document.getElementById('keyboardNav'),
+  keyBindingsRow: document.getElementById('keyBindingsRow'),
+  keyInputs: document.querySelectorAll('.key-input'),
   status: document.getElementById('status')
 };
 
@@ -39,8 +84,14 @@ async function loadSettings() {
     elements.stickyAncestors.checked = settings.stickyAncestorsEnabled;
     elements.stickyDepth.value = settings.stickyDepth;
     elements.depthValue.textContent = settings.stickyDepth;
+    elements.loadMoreLimit.value = settings.loadMoreLimit;
+    elements.loadMoreLimitValue.textContent = settings.loadMoreLimit;
+    elements.fetchAncestors.checked = settings.fetchAncestorsEnabled;
+    elements.minimap.checked = settings.minimapEnabled;
     elements.stickyCompact.checked = settings.stickyCompact;
     elements.stickyTheme.value = settings.stickyTheme;
+    elements.trackingMode.value = settings.trackingMode;
+    elements.restoreAnchor.checked = settings.restoreAnchorEnabled;
 
     // Manual colors
     const colors = settings.manualColors || DEFAULTS.manualColors;
@@ -49,6 +100,18 @@ async function loadSettings() {
     elements.colorAccent.value = colors.accent;
     elements.colorAuthor.value = colors.author;
 
+    // Read tracking
+    elements.readTracking.checked = settings.readTrackingEnabled;
+    elements.readMarkers.checked = settings.readMarkersEnabled;
+    elements.newComments.checked = settings.newCommentsEnabled;
+
+    // Keyboard navigation
+    elements.keyboardNav.checked = settings.keyboardNavEnabled;
+    const keys = { ...DEFAULTS.keyBindings, ...settings.keyBindings };
+    elements.keyInputs.forEach(input => {
+      input.value = keys[input.dataset.action] || '';
+    });
+
     // Update sub-setting visibility
     updateSubSettings();
   } catch (error) {
@@ -70,15 +133,39 @@ async function saveSetting(key, value) {
 
 // Update sub-setting visibility based on parent toggles
 function updateSubSettings() {
+  // Read tracking sub-settings
+  if (elements.readTracking.checked) {
+    elements.readMarkersRow.classList.remove('disabled');
+  } else {
+    elements.readMarkersRow.classList.add('disabled');
+  }
+
+  // Keyboard navigation sub-settings
+  if (elements.stickyAncestors.checked && elements.keyboardNav.checked) {
+    elements.keyBindingsRow.classList.remove('disabled');
+  } else {
+    elements.keyBindingsRow.classList.add('disabled');
+  }
+
   // Sticky ancestors sub-settings
   if (elements.stickyAncestors.checked) {
     elements.depthRow.classList.remove('disabled');
     elements.compactRow.classList.remove('disabled');
     elements.themeRow.classList.remove('disabled');
+    elements.trackingModeRow.classList.remove('disabled');
+    elements.restoreAnchorRow.classList.remove('disabled');
+    elements.loadMoreLimitRow.classList.remove('disabled');
+    elements.fetchAncestorsRow.classList.remove('disabled');
+    elements.minimapRow.classList.remove('disabled');
   } else {
     elements.depthRow.classList.add('disabled');
     elements.compactRow.classList.add('disabled');
     elements.themeRow.classList.add('disabled');
+    elements.trackingModeRow.classList.add('disabled');
+    elements.restoreAnchorRow.classList.add('disabled');
+    elements.loadMoreLimitRow.classList.add('disabled');
+    elements.fetchAncestorsRow.classList.add('disabled');
+    elements.minimapRow.classList.add('disabled');
     elements.manualColorsRow.classList.add('disabled');
     return;
   }
@@ -112,6 +199,42 @@ async function saveManualColors() {
   await saveSetting('manualColors', colors);
 }
 
+// Save key bindings from the key inputs
+async function saveKeyBindings() {
+  const bindings = {};
+  elements.keyInputs.forEach(input => {
+    bindings[input.dataset.action] = input.value;
+  });
+  await saveSetting('keyBindings', bindings);
+}
+
+// Capture a single key press into a key input
+function handleKeyInput(e) {
+  // Let Tab move focus as usual
+  if (e.key === 'Tab') return;
+
+  e.preventDefault();
+  if (e.ctrlKey || e.altKey || e.metaKey) return;
+
+  // Modifiers alone can't be bound (modified key presses are ignored on the page)
+  if (MODIFIER_KEYS.includes(e.key)) return;
+
+  // Backspace/Delete unbinds the action
+  const key = (e.key === 'Backspace' || e.key === 'Delete') ? '' : e.key;
+
+  // A key can only trigger one action
+  if (key) {
+    const taken = Array.from(elements.keyInputs).some(other => other !== e.target && other.value === key);
+    if (taken) {
+      showStatus(`"${key}" is already bound`);
+      return;
+    }
+  }
+
+  e.target.value = key;
+  saveKeyBindings();
+}
+
 // Wire up event listeners
 function setupEventListeners() {
   // Sticky ancestors toggle
@@ -130,6 +253,26 @@ function setupEventListeners() {
     saveSetting('stickyDepth', value);
   });
 
+  // Load more limit slider
+  elements.loadMoreLimit.addEventListener('input', (e) => {
+    elements.loadMoreLimitValue.textContent = e.target.value;
+  });
+
+  elements.loadMoreLimit.addEventListener('change', (e) => {
+    const value = parseInt(e.target.value, 10);
+    saveSetting('loadMoreLimit', value);
+  });
+
+  // Fetch missing ancestors toggle
+  elements.fetchAncestors.addEventListener('change', (e) => {
+    saveSetting('fetchAncestorsEnabled', e.target.checked);
+  });
+
+  // Scrollbar minimap toggle
+  elements.minimap.addEventListener('change', (e) => {
+    saveSetting('minimapEnabled', e.target.checked);
+  });
+
   // Sticky compact toggle
   elements.stickyCompact.addEventListener('change', (e) => {
     saveSetting('stickyCompact', e.target.checked);
@@ -141,6 +284,42 @@ function setupEventListeners() {
     updateSubSettings();
   });
 
+  // Tracking mode selector
+  elements.trackingMode.addEventListener('change', (e) => {
+    saveSetting('trackingMode', e.target.value);
+  });
+
+  // Read tracking toggles
+  elements.readTracking.addEventListener('change', (e) => {
+    saveSetting('readTrackingEnabled', e.target.checked);
+    updateSubSettings();
+  });
+
+  elements.readMarkers.addEventListener('change', (e) => {
+    saveSetting('readMarkersEnabled', e.target.checked);
+  });
+
+  // New comments toggle
+  elements.newComments.addEventListener('change', (e) => {
+    saveSetting('newCommentsEnabled', e.target.checked);
+  });
+
+  // Keyboard navigation toggle
+  elements.keyboardNav.addEventListener('change', (e) => {
+    saveSetting('keyboardNavEnabled', e.target.checked);
+    updateSubSettings();
+  });
+
+  // Key binding inputs
+  elements.keyInputs.forEach(input => {
+    input.addEventListener('keydown', handleKeyInput);
+  });
+
+  // Restore anchor toggle
+  elements.restoreAnchor.addEventListener('change', (e) => {
+    saveSetting('restoreAnchorEnabled', e.target.checked);
+  });
+
   // Manual color inputs
   elements.colorBg.addEventListener('change', saveManualColors);
   elements.colorText.addEventListener('change', saveManualColors);
@@ -0,0 +1,216 @@
+/**
+ * ancestorResolver.test.js - AncestorResolver against recorded listings
+ *
+ * Loads the content script into a sandbox with a stubbed page and a
+ * simulated clock (so the rate limit doesn't make the run slow), and
+ * points its baseUrl at the local stub server.
+ * Run with `node --test test/*.test.js`.
+ */
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const vm = require('vm');
+const { startStubServer } = require('./stubServer');
+
+const SCRIPT = path.join(__dirname, '..', 'extension', 'src', 'content', 'ancestorResolver.js');
+
+/**
+ * Minimal sessionStorage
+ * @returns {Object}
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    keys: () => Array.from(items.keys())
+  };
+}
+
+/**
+ * Load a fresh AncestorResolver for a permalink page
+ * @param {Object} options
+ * @param {string} options.post - Post ID without t3_
+ * @param {Object} [options.storage] - sessionStorage to share between loads
+ * @returns {Object} { resolver, comment, errors, fetchTimes, storage }
+ */
+function loadResolver({ post, storage = createStorage() }) {
+  let now = 1000000;
+  const errors = [];
+  const fetchTimes = [];
+
+  // Timers fire right away, moving the clock to their due time
+  class FakeDate extends Date {
+    static now() {
+      return now;
+    }
+  }
+  const setTimeoutFake = (fn, ms = 0) => {
+    const due = now + ms;
+    setImmediate(() => {
+      now = Math.max(now, due);
+      fn();
+    });
+  };
+
+  const sandbox = {
+    Date: FakeDate,
+    setTimeout: setTimeoutFake,
+    sessionStorage: storage,
+    fetch: (...args) => {
+      fetchTimes.push(now);
+      return fetch(...args);
+    },
+    window: { location: { pathname: `/r/AskReddit/comments/${post}/thread/x/`, origin: 'https://old.reddit.com' } },
+    console: { log() {}, error: (...args) => errors.push(args.join(' ')) },
+    Selectors: {
+      getCommentId: el => el.id,
+      getTopLevelThings: () => [],
+      getRedditVersion: () => 'old'
+    }
+  };
+  vm.createContext(sandbox);
+  const resolver = vm.runInContext(`${fs.readFileSync(SCRIPT, 'utf8')}\nAncestorResolver;`, sandbox, { filename: SCRIPT });
+
+  return { resolver, comment: id => ({ id }), errors, fetchTimes, storage };
+}
+
+/**
+ * Copy a value out of the sandbox (its arrays and objects have other prototypes)
+ * @param {*} value
+ * @returns {*}
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+let server;
+
+test.before(async () => {
+  server = await startStubServer();
+});
+
+test.after(() => server.close());
+
+test.beforeEach(() => {
+  server.requests.length = 0;
+});
+
+test('resolves a full chain from one response', async () => {
+  const { resolver, comment, errors } = loadResolver({ post: 'full1' });
+  resolver.init({ postId: 't3_full1', baseUrl: server.baseUrl });
+
+  const entries = plain(await resolver.resolve(comment('t1_fc4')));
+
+  assert.deepEqual(entries.map(entry => entry.id), ['t1_fc1', 't1_fc2', 't1_fc3']);
+  assert.deepEqual(entries[0], {
+    id: 't1_fc1',
+    author: 'user_fc1',
+    score: '120 points',
+    excerpt: 'Comment fc1',
+    permalink: '/r/AskReddit/comments/full1/thread/fc1/'
+  });
+  assert.equal(entries[2].score, '', 'hidden scores are left out');
+  assert.equal(server.requests.length, 1);
+  assert.deepEqual(server.requests[0].query, { context: '8', limit: '1', raw_json: '1' });
+  assert.deepEqual(errors, []);
+});
+
+test('continues a chain cut off by context=8 with another request', async () => {
+  const { resolver, comment, errors } = loadResolver({ post: 'deep1' });
+  resolver.init({ postId: 't3_deep1', baseUrl: server.baseUrl });
+
+  const entries = plain(await resolver.resolve(comment('t1_dd10')));
+
+  assert.deepEqual(entries.map(entry => entry.id), ['dd1', 'dd2', 'dd3', 'dd4', 'dd5', 'dd6', 'dd7', 'dd8', 'dd9'].map(id => `t1_${id}`));
+  assert.deepEqual(server.requests.map(request => request.comment), ['dd10', 'dd1']);
+  assert.deepEqual(errors, []);
+});
+
+test('keeps deleted parents in the chain', async () => {
+  const { resolver, comment } = loadResolver({ post: 'del1' });
+  resolver.init({ postId: 't3_del1', baseUrl: server.baseUrl });
+
+  const entries = plain(await resolver.resolve(comment('t1_xc3')));
+
+  assert.deepEqual(entries.map(entry => entry.author), ['user_xc1', '[deleted]']);
+  assert.equal(entries[1].excerpt, '[deleted]');
+});
+
+test('answers repeated lookups from the cache and sessionStorage', async () => {
+  const first = loadResolver({ post: 'full1' });
+  first.resolver.init({ postId: 't3_full1', baseUrl: server.baseUrl });
+
+  const target = first.comment('t1_fc4');
+  assert.equal(first.resolver.getAncestors(target), null);
+  const [a, b] = plain(await Promise.all([first.resolver.resolve(target), first.resolver.resolve(target)]));
+  const again = plain(await first.resolver.resolve(target));
+
+  assert.deepEqual(a, b);
+  assert.deepEqual(again, a);
+  assert.equal(server.requests.length, 1, 'concurrent and repeated lookups share one request');
+  assert.deepEqual(first.storage.keys(), ['ta-ancestors:t3_full1:t1_fc4']);
+
+  // A new page load in the same tab reads sessionStorage
+  const second = loadResolver({ post: 'full1', storage: first.storage });
+  second.resolver.init({ postId: 't3_full1', baseUrl: server.baseUrl });
+  assert.deepEqual(plain(second.resolver.getAncestors(second.comment('t1_fc4'))), a);
+  assert.deepEqual(plain(await second.resolver.resolve(second.comment('t1_fc4'))), a);
+  assert.equal(server.requests.length, 1);
+});
+
+test('spaces requests out and stops at the per-chain limit', async () => {
+  const { resolver, comment, fetchTimes } = loadResolver({ post: 'long1' });
+  resolver.init({ postId: 't3_long1', baseUrl: server.baseUrl });
+
+  const entries = plain(await resolver.resolve(comment('t1_lc30')));
+
+  assert.deepEqual(server.requests.map(request => request.comment), ['lc30', 'lc21', 'lc12']);
+  assert.equal(entries[0].id, 't1_lc4');
+  assert.equal(entries.length, 26);
+  for (let i = 1; i < fetchTimes.length; i++) {
+    assert.ok(fetchTimes[i] - fetchTimes[i - 1] >= 1000, `request ${i} came ${fetchTimes[i] - fetchTimes[i - 1]}ms after the previous one`);
+  }
+});
+
+test('stops requesting at the per-page limit', async () => {
+  const { resolver, comment, errors } = loadResolver({ post: 'none1' });
+  resolver.init({ postId: 't3_none1', baseUrl: server.baseUrl });
+
+  for (let i = 0; i < 21; i++) {
+    assert.deepEqual(plain(await resolver.resolve(comment(`t1_m${i}`))), []);
+  }
+
+  assert.equal(server.requests.length, 20);
+  assert.equal(errors.length, 21);
+  assert.match(errors[19], /HTTP 404/);
+  assert.match(errors[20], /Request limit reached/);
+
+  // Failed lookups aren't retried
+  await resolver.resolve(comment('t1_m0'));
+  assert.equal(server.requests.length, 20);
+});
+
+test('drops a result that arrives after destroy', async () => {
+  const { resolver, comment, errors, storage } = loadResolver({ post: 'full1' });
+  resolver.init({ postId: 't3_full1', baseUrl: server.baseUrl });
+
+  const release = server.hold('fc4');
+  const request = resolver.resolve(comment('t1_fc4'));
+  while (server.requests.length === 0) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  resolver.destroy();
+  release();
+
+  assert.deepEqual(plain(await request), []);
+  assert.deepEqual(storage.keys(), []);
+  assert.deepEqual(errors, []);
+
+  // The next page starts with a clean slate
+  resolver.init({ postId: 't3_full1', baseUrl: server.baseUrl });
+  assert.equal(resolver.getAncestors(comment('t1_fc4')), null);
+});
@@ -0,0 +1,78 @@
+/**
+ * stubServer.js - Local stand-in for Reddit's .json comment listings
+ *
+ * Serves the recorded responses in test/fixtures for
+ * /comments/<post>/_/<comment>.json (as fixtures/<post>_<comment>.json)
+ * and answers 404 for anything else. Every request is recorded, and
+ * responses for a comment can be held back to test requests in flight.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+const LISTING_PATH = /^\/comments\/([a-z0-9]+)\/_\/([a-z0-9]+)\.json$/i;
+
+/**
+ * Start a stub server on a free local port
+ * @returns {Promise<Object>} { baseUrl, requests, hold, close }
+ */
+function startStubServer() {
+  // Requests received ({ post, comment, query })
+  const requests = [];
+
+  // Held comments (comment ID -> Promise released by the test)
+  const held = new Map();
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(LISTING_PATH);
+    if (!match) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    const [, post, comment] = match;
+    requests.push({ post, comment, query: Object.fromEntries(url.searchParams) });
+
+    if (held.has(comment)) await held.get(comment);
+
+    const file = path.join(FIXTURES_DIR, `${post}_${comment}.json`);
+    if (!fs.existsSync(file)) {
+      res.writeHead(404, { 'Content-Type': 'application/json' }).end('{"message": "Not Found", "error": 404}');
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    fs.createReadStream(file).pipe(res);
+  });
+
+  /**
+   * Hold back the response for a comment until the returned function is called
+   * @param {string} comment - Comment ID (without t1_)
+   * @returns {Function} Releases the response
+   */
+  function hold(comment) {
+    let release;
+    held.set(comment, new Promise(resolve => { release = resolve; }));
+    return () => {
+      held.delete(comment);
+      release();
+    };
+  }
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        hold,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startStubServer };
@@ -0,0 +1,130 @@
+/**
+ * util.test.js - Util's document-order helpers
+ *
+ * Loads util.js into a sandbox with a small stand-in for DOM elements
+ * (document order, contains and compareDocumentPosition), since the
+ * helpers need nothing else from the page.
+ * Run with `node --test test/*.test.js`.
+ */
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const vm = require('vm');
+
+const SCRIPT = path.join(__dirname, '..', 'extension', 'src', 'content', 'util.js');
+
+const Node = {
+  DOCUMENT_POSITION_PRECEDING: 2,
+  DOCUMENT_POSITION_FOLLOWING: 4,
+  DOCUMENT_POSITION_CONTAINS: 8,
+  DOCUMENT_POSITION_CONTAINED_BY: 16
+};
+
+/**
+ * Build elements from a nested spec like ['a', ['b', ['c']], 'd']
+ * (a name followed by an array holds that array's elements)
+ * @param {Array} spec
+ * @returns {Object} Elements by name
+ */
+function buildTree(spec) {
+  const elements = {};
+  let order = 0;
+
+  function add(items, parent) {
+    let last = null;
+    for (const item of items) {
+      if (Array.isArray(item)) {
+        add(item, last);
+        continue;
+      }
+      last = createElement(item, order++, parent);
+      elements[item] = last;
+    }
+  }
+
+  add(spec, null);
+  return elements;
+}
+
+/**
+ * Create a stand-in element
+ * @param {string} name
+ * @param {number} order - Position in document order
+ * @param {Object|null} parent
+ * @returns {Object}
+ */
+function createElement(name, order, parent) {
+  const el = {
+    name,
+    order,
+    parent,
+    contains(other) {
+      for (let node = other; node; node = node.parent) {
+        if (node === el) return true;
+      }
+      return false;
+    },
+    compareDocumentPosition(other) {
+      if (other.order < el.order) {
+        return Node.DOCUMENT_POSITION_PRECEDING | (other.contains(el) ? Node.DOCUMENT_POSITION_CONTAINS : 0);
+      }
+      return Node.DOCUMENT_POSITION_FOLLOWING | (el.contains(other) ? Node.DOCUMENT_POSITION_CONTAINED_BY : 0);
+    }
+  };
+  return el;
+}
+
+/**
+ * Load a fresh Util
+ * @returns {Object}
+ */
+function loadUtil() {
+  const sandbox = { Node, window: {}, document: {}, console };
+  vm.createContext(sandbox);
+  return vm.runInContext(`${fs.readFileSync(SCRIPT, 'utf8')}\nUtil;`, sandbox, { filename: SCRIPT });
+}
+
+const Util = loadUtil();
+
+test('prevInDocument undoes nextInDocument for nested items', () => {
+  // a contains b, which contains c; d follows a
+  const { a, b, c, d } = buildTree(['a', ['b', ['c']], 'd']);
+  const list = [a, b, c, d];
+
+  for (const el of list) {
+    const next = Util.nextInDocument(list, el);
+    if (next === a) continue;
+    assert.equal(Util.prevInDocument(list, next).name, el.name, `prev(next(${el.name}))`);
+  }
+  assert.equal(Util.prevInDocument(list, b).name, 'a', 'an ancestor comes before its reply');
+});
+
+test('skips items that aren\'t in the list', () => {
+  // Only a and its nested reply c are listed
+  const { a, b, c } = buildTree(['a', ['b', ['c']], 'd']);
+  const list = [a, c];
+
+  assert.equal(Util.nextInDocument(list, a).name, 'c');
+  assert.equal(Util.prevInDocument(list, c).name, 'a');
+  assert.equal(Util.nextInDocument(list, b).name, 'c', 'works from an element outside the list');
+  assert.equal(Util.prevInDocument(list, b).name, 'a');
+});
+
+test('wraps around at either end', () => {
+  const { a, b, c } = buildTree(['a', ['b'], 'c']);
+  const list = [a, b, c];
+
+  assert.equal(Util.nextInDocument(list, c).name, 'a');
+  assert.equal(Util.prevInDocument(list, a).name, 'c');
+});
+
+test('starts at the ends without a current element, and gives null for an empty list', () => {
+  const { a, b } = buildTree(['a', 'b']);
+
+  assert.equal(Util.nextInDocument([a, b], null).name, 'a');
+  assert.equal(Util.prevInDocument([a, b], null).name, 'b');
+  assert.equal(Util.nextInDocument([], a), null);
+  assert.equal(Util.prevInDocument([], a), null);
+});